@@ -12,6 +12,7 @@ const PureObject = require('PureObject');
 const Type = require('Type');
 const fromArgs = require('fromArgs');
 
+const ConsoleReporter = require('./reporters/ConsoleReporter');
 const Fastfs = require('./fastfs');
 const fp = require('./fastpath');
 const getAssetDataFromName = require('./utils/getAssetDataFromName');
@@ -22,6 +23,7 @@ const type = Type('AssetMap')
 type.defineOptions({
   extensions: Array.isRequired,
   fastfs: Fastfs.isRequired,
+  reporter: Object.Kind,
 })
 
 type.defineValues({
@@ -30,6 +32,8 @@ type.defineValues({
 
   _fastfs: fromArgs('fastfs'),
 
+  _reporter: (opts) => opts.reporter || ConsoleReporter(),
+
   _assets: PureObject.create,
 })
 
@@ -71,10 +75,10 @@ type.defineMethods({
 
       const dirname = fp.dirname(assetPath);
       if (!this._fastfs.dirExists(dirname)) {
-        log.moat(1)
-        log.white('Error: ')
-        log.red(`Directory '${dirname}' does not exist!`)
-        log.moat(1);
+        this._reporter.update({
+          type: 'asset-dir-not-found',
+          dirPath: dirname,
+        });
         return;
       }
 
@@ -97,10 +101,10 @@ type.defineMethods({
         return matches[0];
       }
 
-      log.moat(1);
-      log.red('Error: ');
-      log.white(`Asset '${assetPath}' does not exist!`);
-      log.moat(1);
+      this._reporter.update({
+        type: 'asset-not-found',
+        assetPath,
+      });
     }
 
     if (assetPath.startsWith('image!')) {
@@ -122,10 +126,10 @@ type.defineMethods({
         return asset.files[0];
       }
 
-      log.moat(1);
-      log.red('Error: ');
-      log.white(`Asset '${assetName}' does not exist!`);
-      log.moat(1);
+      this._reporter.update({
+        type: 'asset-not-found',
+        assetPath: assetName,
+      });
     }
   },
 })
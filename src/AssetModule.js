@@ -10,6 +10,7 @@
 
 const Promise = require('Promise');
 const Type = require('Type');
+const emptyArray = require('./utils/emptyArray');
 
 const Module = require('./Module');
 const getAssetDataFromName = require('./utils/getAssetDataFromName');
@@ -48,6 +49,10 @@ type.overrideMethods({
     return Promise(this._dependencies);
   },
 
+  readAsyncDependencies() {
+    return Promise(emptyArray);
+  },
+
   read() {
     return Promise({});
   },
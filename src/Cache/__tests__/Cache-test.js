@@ -10,6 +10,9 @@
 
 jest
   .dontMock('absolute-path')
+  .dontMock('../../utils/debounce')
+  .dontMock('../../utils/ioQueue')
+  .dontMock('../../utils/TaskQueue')
   .dontMock('../');
 
 jest
@@ -331,4 +334,28 @@ describe('Cache', () => {
       });
     });
   });
+
+  describe('reporting', () => {
+    beforeEach(() => {
+      fs.writeFile.mockImpl(function() {
+        var callback = arguments[arguments.length - 1];
+        callback(Error('EACCES'));
+      });
+    });
+
+    pit('reports persist failures to the reporter it is given', () => {
+      var reporter = {update: jest.genMockFn()};
+      var cache = new Cache({
+        cacheKey: 'cache',
+        reporter,
+      });
+
+      return cache.end().then(() => {
+        expect(reporter.update.mock.calls.length).toBe(1);
+        var [event] = reporter.update.mock.calls[0];
+        expect(event.type).toBe('cache-persist-failed');
+        expect(event.error.message).toBe('EACCES');
+      });
+    });
+  });
 });
@@ -8,10 +8,13 @@
  */
 'use strict';
 
+const ConsoleReporter = require('../reporters/ConsoleReporter');
 const crypto = require('crypto');
+const debounce = require('../utils/debounce');
 const fp = require('../fastpath');
 const fs = require('io');
 const has = require('has');
+const ioQueue = require('../utils/ioQueue');
 const os = require('os');
 const Promise = require('Promise');
 const Type = require('Type');
@@ -22,9 +25,12 @@ type.defineOptions({
   resetCache: Boolean.withDefault(false),
   cacheKey: String,
   cacheDirectory: String.withDefault(os.tmpDir()),
+  reporter: Object.Kind,
 })
 
 type.defineValues({
+  // Pass the reporter of your DependencyGraph to report its events too.
+  _reporter: (options) => options.reporter || ConsoleReporter(),
   _cacheFilePath(options) {
     return Cache.getCacheFilePath(
       options.cacheDirectory,
@@ -87,7 +93,7 @@ type.defineMethods({
     record.data[field] = loaderPromise
       .then(data => Promise.map([
         data,
-        fs.async.stats(filepath),
+        ioQueue.push(() => fs.async.stats(filepath)),
       ]))
       .then(([data, stat]) => {
         this._persistEventually();
@@ -153,14 +159,11 @@ type.defineMethods({
       )
 
       .fail(error => {
-        log.moat(1);
-        log.red(cacheFilepath);
-        log.moat(1);
-        log.red('Error: ');
-        log.white('Failed to persist cache!');
-        log.moat(0);
-        log.gray.dim(error.stack);
-        log.moat(1);
+        this._reporter.update({
+          type: 'cache-persist-failed',
+          cacheFilePath: cacheFilepath,
+          error,
+        });
       })
 
       .always(() => {
@@ -238,11 +241,3 @@ module.exports = Cache;
 function getObjectValues(object) {
   return Object.keys(object).map(key => object[key]);
 }
-
-function debounce(fn, delay) {
-  var timeout;
-  return () => {
-    clearTimeout(timeout);
-    timeout = setTimeout(fn, delay);
-  };
-}
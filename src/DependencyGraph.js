@@ -8,6 +8,8 @@
  */
 'use strict';
 
+const {EventEmitter} = require('events');
+
 const Promise = require('Promise');
 const PureObject = require('PureObject');
 const Type = require('Type');
@@ -17,21 +19,35 @@ const fromArgs = require('fromArgs');
 const fs = require('io');
 const inArray = require('in-array');
 const mergeDefaults = require('mergeDefaults');
-const sync = require('sync');
 const util = require('util');
 
 const AssetMap = require('./AssetMap');
 const Cache = require('./Cache');
+const ConsoleReporter = require('./reporters/ConsoleReporter');
 const Fastfs = require('./fastfs');
 const FileWatcher = require('./FileWatcher');
+const GraphCache = require('./GraphCache');
 const HasteMap = require('./HasteMap');
 const ModuleCache = require('./ModuleCache');
 const ResolutionCache = require('./ResolutionCache');
 const ResolutionResponse = require('./ResolutionResponse');
+const TransformWorkerPool = require('./TransformWorkerPool');
 
 const crawl = require('./crawlers');
+const debounce = require('./utils/debounce');
 const fp = require('./fastpath');
+const getAssetDataFromName = require('./utils/getAssetDataFromName');
 const getPlatformExtension = require('./utils/getPlatformExtension');
+const ioQueue = require('./utils/ioQueue');
+const isDescendant = require('./utils/isDescendant');
+const matchExtensions = require('./utils/matchExtensions');
+
+const PACKAGE_JSON = fp.sep + 'package.json';
+
+// Used by the "exports" field when 'exportConditions' has no platform entry.
+// The 'web' platform uses the 'browser' condition instead of 'react-native'.
+const DEFAULT_EXPORT_CONDITIONS = ['react-native', 'require', 'default'];
+const WEB_EXPORT_CONDITIONS = ['browser', 'require', 'default'];
 
 const defaultActivity = {
   startEvent: () => {},
@@ -40,6 +56,9 @@ const defaultActivity = {
 
 const type = Type('DependencyGraph')
 
+type.inherits(EventEmitter)
+type.createInstance(() => new EventEmitter())
+
 type.defineOptions({
   cache: Cache.isRequired,
   fileWatcher: FileWatcher.isRequired,
@@ -52,13 +71,28 @@ type.defineOptions({
   preferNativePlatform: Boolean.withDefault(false),
   blacklist: Function.withDefault(emptyFunction.thatReturnsFalse),
   redirect: PureObject,
+  aliases: Array,
+  exportConditions: Object,
+  mainFields: Object,
   activity: Object.withDefault(defaultActivity),
   extractRequires: Function,
   transformCode: Function,
+  transformModulePath: String,
+  maxWorkers: Number,
   assetDependencies: Array,
   moduleOptions: Object,
   extraNodeModules: Object,
   onResolutionError: Function.withDefault(emptyFunction),
+  graphCacheFile: String,
+  graphCacheKey: String,
+  maxCachedResponses: Number.withDefault(20),
+  maxConcurrentResolutions: Number.withDefault(1),
+  hasteMapFile: String,
+  writeHasteMap: Boolean,
+  moduleRoot: String,
+  lotus: Object,
+  resolvers: Array,
+  reporter: Object.Kind,
 })
 
 type.defineValues({
@@ -81,11 +115,66 @@ type.defineValues({
 
   _activity: fromArgs('activity'),
 
+  _reporter: (opts) => opts.reporter || ConsoleReporter(),
+
   _extraNodeModules: fromArgs('extraNodeModules'),
 
   _onResolutionError: fromArgs('onResolutionError'),
 
-  _responseCache: PureObject.create,
+  // The "exports" conditions of each platform.
+  _exportConditions: (opts) => opts.exportConditions || Object.create(null),
+
+  // The 'package.json' main fields of each platform.
+  _mainFields: (opts) => opts.mainFields || Object.create(null),
+
+  _moduleRoot(opts) {
+    if (opts.moduleRoot) {
+      return fp.resolve(opts.moduleRoot);
+    }
+    return opts.lotus ? opts.lotus.path : process.cwd();
+  },
+
+  // Ordered from least to most recently used.
+  _responseCache: () => new Map(),
+
+  _maxCachedResponses: fromArgs('maxCachedResponses'),
+
+  _maxConcurrentResolutions: fromArgs('maxConcurrentResolutions'),
+
+  // Incremented by every file change.
+  _revision: 0,
+
+  // The revision of the last change to each file.
+  _fileRevisions: PureObject.create,
+
+  _graphCache(opts) {
+    if (opts.graphCacheFile) {
+      return GraphCache({
+        cacheFilePath: opts.graphCacheFile,
+        resolverOptions: {
+          projectExts: this._projectExts,
+          platforms: this._platforms,
+          preferNativePlatform: this._preferNativePlatform,
+          redirect: opts.redirect,
+          aliases: opts.aliases,
+          resolvers: opts.resolvers,
+          extraNodeModules: opts.extraNodeModules,
+          exportConditions: opts.exportConditions,
+          mainFields: opts.mainFields,
+          moduleRoot: this._moduleRoot,
+        },
+        cacheKey: opts.graphCacheKey,
+        reporter: this._reporter,
+      });
+    }
+  },
+
+  _persistGraphEventually() {
+    return debounce(
+      this.persistGraph.bind(this),
+      2000,
+    );
+  },
 
   _crawling(opts) {
     return crawl(this._allRoots(), {
@@ -107,16 +196,36 @@ type.defineValues({
     });
   },
 
+  // Transforms modules in child processes (see 'transformModulePath').
+  _transformPool(opts) {
+    if (opts.transformModulePath) {
+      if (opts.transformCode) {
+        throw Error('Cannot use both \'transformCode\' and \'transformModulePath\'!');
+      }
+      return TransformWorkerPool({
+        transformModulePath: opts.transformModulePath,
+        maxWorkers: opts.maxWorkers,
+      });
+    }
+  },
+
   _moduleCache(opts) {
+    const pool = this._transformPool;
     return ModuleCache({
       fastfs: this._fastfs,
       cache: opts.cache,
       platforms: this._platforms,
       extractRequires: opts.extractRequires,
-      transformCode:  opts.transformCode,
+      transformCode: pool ?
+        pool.transformCode.bind(pool) : opts.transformCode,
       assetDependencies: opts.assetDependencies,
       moduleOptions: opts.moduleOptions || {cacheTransformResults: true},
       redirect: opts.redirect,
+      aliases: opts.aliases,
+      extraNodeModules: opts.extraNodeModules,
+      moduleRoot: this._moduleRoot,
+      lotus: opts.lotus,
+      resolvers: opts.resolvers,
     });
   },
 
@@ -124,6 +233,7 @@ type.defineValues({
     return AssetMap({
       fastfs: this._fastfs,
       extensions: opts.assetExts,
+      reporter: this._reporter,
     });
   },
 
@@ -143,38 +253,47 @@ type.defineValues({
     return this._crawling
     .then(() => this._activity.endEvent(crawlActivity))
     .then(() => this._fastfs.build())
+    .then(() => this._watchLinkRoots(opts.fileWatcher))
     .then(() => {
       const assetActivity = this._activity.startEvent('find assets');
       this._assetMap.build();
-      log.moat(1);
-      log.gray('assets found: ');
-      log.white(Object.keys(this._assetMap._assets).length);
-      log.moat(1);
+      this._reporter.update({
+        type: 'assets-counted',
+        count: Object.keys(this._assetMap._assets).length,
+      });
       this._activity.endEvent(assetActivity);
     })
     .then(() => {
       const hasteActivity = this._activity.startEvent('find haste modules');
-      return this._hasteMap.build().then(hasteModules => {
+      return Promise(this._graphCache &&
+        this._graphCache.getSnapshot(this._fastfs.getAllFiles()))
+      .then(snapshot => this._hasteMap.build(snapshot))
+      .then(hasteModules => {
+        if (this._graphCache) {
+          this._graphCache.restoreResponses(this._hasteMap.toJSON());
+        }
+
         const hasteModuleNames = Object.keys(hasteModules);
 
-        const json = {};
-        hasteModuleNames.forEach(moduleName => {
-          const map = hasteModules[moduleName];
-          const mod = map.generic || Object.keys(map)[0];
-          if (mod && mod.path) {
-            json[moduleName] = fp.relative(lotus.path, mod.path);
-          }
-        });
+        // The haste map is only written by default when a
+        // 'hasteMapFile' or a lotus resolver is provided.
+        const writeHasteMap = opts.writeHasteMap != null ?
+          opts.writeHasteMap : (opts.hasteMapFile || opts.lotus) != null;
 
-        fs.sync.write(
-          lotus.path + '/.ReactNativeHasteMap.json',
-          JSON.stringify(json, null, 2)
-        );
+        if (writeHasteMap) {
+          const hasteMapFile = opts.hasteMapFile ||
+            fp.join(this._moduleRoot, '.ReactNativeHasteMap.json');
 
-        log.moat(1);
-        log.gray('haste modules found: ');
-        log.white(hasteModuleNames.length);
-        log.moat(1);
+          fs.sync.write(
+            hasteMapFile,
+            JSON.stringify(this._getHasteMapJSON(), null, 2)
+          );
+        }
+
+        this._reporter.update({
+          type: 'haste-modules-counted',
+          count: hasteModuleNames.length,
+        });
 
         this._activity.endEvent(hasteActivity);
         return hasteModules;
@@ -196,6 +315,13 @@ type.defineMethods({
     return this._loading;
   },
 
+  // Stops the transform workers (if any), and cancels any pending
+  // write of the 'graphCacheFile'.
+  end() {
+    this._transformPool && this._transformPool.end();
+    this._persistGraphEventually.cancel();
+  },
+
   /**
    * Returns a promise with the direct dependencies the module associated to
    * the given entryFile has.
@@ -217,60 +343,385 @@ type.defineMethods({
     return this.load().then(() => this._moduleCache.getAllModules());
   },
 
+  /**
+   * Resolves a require string from the given file, and returns a promise
+   * with every candidate path that was tried (in order). Each candidate has
+   * the strategy that tried it, and why it was accepted or rejected.
+   */
+  explainResolution(requiredPath, fromFile, platform) {
+    return this.load().then(() => {
+      fromFile = this._resolveEntryFile(fromFile);
+      platform = this._getRequestPlatform(fromFile, platform);
+
+      // Use a throwaway cache, so no cached response is affected.
+      const cache = this._createResolutionCache({platform});
+      const fromModule = this._moduleCache.getModule(fromFile);
+      return cache.getResolution(fromModule).explain(requiredPath);
+    });
+  },
+
+  /**
+   * Returns a promise with the path of every haste module (relative to
+   * the 'moduleRoot'), keyed by module name. This is the same mapping
+   * that is written to the 'hasteMapFile'.
+   */
+  getHasteMapJSON() {
+    return this.load().then(() => this._getHasteMapJSON());
+  },
+
+  /**
+   * Resolves the dependencies of the given 'entryFile', or of every path in
+   * 'entryFiles' (in one graph). When 'entryFiles' is used, the response
+   * also knows which modules are shared by all entries ('sharedDependencies')
+   * and which modules are unique to one entry ('uniqueDependencies').
+   *
+   * Pass an AbortSignal-like 'signal' (any object with an 'aborted' property)
+   * to stop resolving once it is aborted. The promise is then rejected with
+   * a 'CancelledError', and the next request picks up where this one stopped.
+   */
   getDependencies(options) {
     assertTypes(options, {
-      entryFile: String,
+      entryFile: String.Maybe,
+      entryFiles: Array.Maybe,
       platform: String,
       recursive: Boolean.Maybe,
       transformOptions: Object.Maybe,
       onProgress: Function.Maybe,
       onError: Function.Maybe,
+      signal: Object.Maybe,
     })
     mergeDefaults(options, {
       recursive: true,
     })
 
+    const isMultiEntry = options.entryFiles != null;
+    if (isMultiEntry ? !options.entryFiles.length : !options.entryFile) {
+      throw Error('Must provide an \'entryFile\' or at least one \'entryFiles\' path!');
+    }
+
     return this.load().then(() => {
-      const entryFile = this._resolveEntryFile(options.entryFile);
-      const platform = this._getRequestPlatform(entryFile, options.platform);
+      const entryFiles = (isMultiEntry ? options.entryFiles : [options.entryFile])
+        .map(entryFile => this._resolveEntryFile(entryFile));
+
+      const platform = this._getRequestPlatform(entryFiles[0], options.platform);
       const onError = this._catchResolutionErrors(options.onError);
-      const {recursive, onProgress} = options;
+      const {recursive, onProgress, signal} = options;
 
       // Check for a cached ResolutionResponse!
-      const responseId = JSON.stringify({entryFile, platform, recursive});
-      let response = this._responseCache[responseId];
+      const responseId = isMultiEntry ?
+        JSON.stringify({entryFiles, platform, recursive}) :
+        JSON.stringify({entryFile: entryFiles[0], platform, recursive});
+
+      let response = this._responseCache.get(responseId);
       if (response) {
+        this._responseCache.delete(responseId);
+        this._responseCache.set(responseId, response);
         return response.allResolved({
           onError,
-          onProgress: options.onProgress,
+          onProgress,
+          signal,
         });
       }
 
       // Create a new ResolutionCache for every new ResolutionResponse.
-      const cache = ResolutionCache({
+      const cache = this._createResolutionCache({
         platform,
-        preferNativePlatform: this._preferNativePlatform,
         transformOptions: options.transformOptions,
-        extensions: this._projectExts,
-        assetMap: this._assetMap,
-        hasteMap: this._hasteMap,
-        fastfs: this._fastfs,
+        restoredEdges: this._graphCache ?
+          this._graphCache.takeEdges(responseId) : null,
       });
 
+      const entries = entryFiles.map(entryFile =>
+        this._moduleCache.getModule(entryFile));
+
       // Cache a new ResolutionResponse.
-      this._responseCache[responseId] =
-        response = ResolutionResponse({cache});
-
-      // Starting with the 'entryFile', resolve the
-      // dependencies of every module needed by the bundle.
-      const entry = this._moduleCache.getModule(entryFile);
-      const resolution = cache.getResolution(entry);
-      return resolution.reloadRequires({
-        recursive,
-        onError,
-        onProgress,
+      response = ResolutionResponse({cache});
+      this._cacheResponse(responseId, response);
+
+      if (isMultiEntry) {
+        response.entryModules = entries;
+      }
+
+      // Starting with each entry, resolve the dependencies
+      // of every module needed by the bundle. Entries are resolved
+      // one at a time, so modules they share are only resolved once.
+      return Promise.chain(entries, (entry) => {
+        if (cache.hasResolution(entry)) {
+          return;
+        }
+        return cache.getResolution(entry).reloadRequires({
+          recursive,
+          onError,
+          onProgress,
+          signal,
+        });
+      })
+      .fail(error => {
+        if (error.type === 'CancelledError') {
+          // Let the next request resolve any entries we never reached.
+          entries.forEach(entry => {
+            cache.hasResolution(entry) ||
+              cache.markIncomplete(cache.getResolution(entry));
+          });
+        }
+        throw error;
+      })
+      .then(() => response.allResolved({signal}))
+      .then(response => {
+        this._graphCache && this._persistGraphEventually();
+        return response;
+      });
+    });
+  },
+
+  /**
+   * Like 'getDependencies', but returns a promise with only the modules that
+   * were added, removed or changed since the given 'revision'. Pass the
+   * returned 'revision' to the next call (with the same request). When the
+   * given revision is unknown (or omitted), every module is added and 'reset'
+   * is true. A revision returned for another request (or for a response that
+   * was since released) is rejected.
+   */
+  getDependencyDelta(options) {
+    assertTypes(options, {
+      revision: String.Maybe,
+    })
+
+    const since = options.revision;
+    const request = Object.assign({}, options);
+    delete request.revision;
+
+    // Changes made while resolving are reported by the next delta.
+    const revision = this._revision;
+    return this.getDependencies(request)
+    .then(response => {
+      const delta = response.getDelta({
+        since,
+        revision,
+        getFileRevision: (filePath) => this._fileRevisions[filePath] || 0,
+      });
+      this._pruneFileRevisions();
+      return delta;
+    });
+  },
+
+  /**
+   * Forgets the cached ResolutionResponses of the given entryFile (for the
+   * given platform, or every platform). Returns true if any were released.
+   */
+  releaseResponse(entryFile, platform) {
+    entryFile = this._resolveEntryFile(entryFile);
+
+    let released = false;
+    this._responseCache.forEach((response, responseId) => {
+      const request = JSON.parse(responseId);
+      const entryFiles = request.entryFiles || [request.entryFile];
+      if (!inArray(entryFiles, entryFile)) {
+        return;
+      }
+      if (platform == null || request.platform === platform) {
+        this._releaseResponse(responseId);
+        released = true;
+      }
+    });
+    return released;
+  },
+
+  /**
+   * Writes the haste map and the resolved edges of every cached
+   * ResolutionResponse to the 'graphCacheFile', so the next process
+   * can skip resolving any requires that are still valid. When a function
+   * (eg: a custom resolver) affects resolution, nothing is persisted unless
+   * a 'graphCacheKey' is provided (change it whenever those functions do).
+   */
+  persistGraph() {
+    if (!this._graphCache) {
+      return Promise();
+    }
+    const responses = Object.create(null);
+    this._responseCache.forEach((response, responseId) => {
+      responses[responseId] = response.serializeEdges();
+    });
+    return this._graphCache.persist({
+      hasteMap: this._hasteMap.toJSON(),
+      responses,
+    });
+  },
+
+  /**
+   * Returns a promise with every module that requires the given file,
+   * gathered from every cached ResolutionResponse. Pass `transitive` to
+   * include the dependers of those dependers (and so on).
+   */
+  getInverseDependencies(filePath, options = {}) {
+    assertTypes(options, {
+      platform: String.Maybe,
+      transitive: Boolean.Maybe,
+    })
+
+    return this.load().then(() => {
+      const module = this._moduleCache
+        .getCachedModule(this._resolveEntryFile(filePath));
+
+      if (!module) {
+        return [];
+      }
+
+      const {platform, transitive} = options;
+      const responses = [];
+      this._responseCache.forEach((response) => {
+        if (platform == null || response.platform === platform) {
+          responses.push(response);
+        }
+      });
+
+      const dependers = new Set();
+      return Promise.map(responses, (response) =>
+        response.gatherInverseDependencies(module, transitive)
+        .then(modules => modules.forEach(depender => dependers.add(depender))))
+      .then(() => Array.from(dependers));
+    });
+  },
+
+  /**
+   * Returns a promise with every cycle of requires reachable from the
+   * given entryFile. Each cycle lists its module paths and the edges
+   * between them (including the require string of each edge).
+   */
+  findCycles(options) {
+    assertTypes(options, {
+      entryFile: String,
+      platform: String,
+    })
+
+    return this.getDependencies({
+      entryFile: options.entryFile,
+      platform: options.platform,
+    })
+    .then(response => response.findCycles());
+  },
+
+  /**
+   * Resolves the given entryFile for every given platform, and returns a
+   * promise with the modules that only one platform depends on (keyed by
+   * platform). Each module has a `cause`, which is the path of the closest
+   * platform-specific file (eg: `*.ios.js` or `*.native.js`) that led to it.
+   */
+  diffPlatforms(options) {
+    assertTypes(options, {
+      entryFile: String,
+      platforms: Array,
+    })
+
+    const {platforms} = options;
+    return Promise.map(platforms, (platform) =>
+      this.getDependencies({
+        entryFile: options.entryFile,
+        platform,
+      }))
+    .then(responses => {
+      const results = responses.map((response, index) => ({
+        platform: platforms[index],
+        response,
+        paths: new Set(response.dependencies.map(module => module.path)),
+      }));
+
+      const isPlatformFile = (filePath) =>
+        getPlatformExtension(filePath, this._platforms.concat('native')) != null;
+
+      const diff = {};
+      return Promise.map(results, ({platform, response}) => {
+        const others = results.filter(other => other.platform !== platform);
+        const modules = response.dependencies.filter(module =>
+          !others.some(other => other.paths.has(module.path)));
+
+        return Promise.map(modules, (module) => {
+          if (isPlatformFile(module.path)) {
+            return {path: module.path, cause: module.path};
+          }
+          return response.findClosestDepender(module, (depender) =>
+            isPlatformFile(depender.path))
+          .then(depender => ({
+            path: module.path,
+            cause: depender ? depender.path : null,
+          }));
+        })
+        .then(unique => {
+          diff[platform] = unique.sort((a, b) =>
+            a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+        });
       })
-      .then(() => response.allResolved());
+      .then(() => diff);
+    });
+  },
+
+  /**
+   * Returns a promise with every project file, haste module and asset that
+   * the given entryFiles never reach (on any of the given platforms).
+   */
+  findUnusedModules(options) {
+    assertTypes(options, {
+      entryFiles: Array,
+      platforms: Array,
+    })
+
+    return Promise.map(options.platforms, (platform) =>
+      this.getDependencies({
+        entryFiles: options.entryFiles,
+        platform,
+      }))
+    .then(responses => {
+      const usedPaths = new Set();
+      responses.forEach(response => {
+        response.dependencies.forEach(module => usedPaths.add(module.path));
+      });
+
+      const allFiles = this._fastfs.getAllFiles()
+        .filter(filePath => !this._blacklist(filePath));
+
+      const files = allFiles.filter(filePath =>
+        !usedPaths.has(filePath) &&
+        matchExtensions(this._projectExts, filePath) &&
+        this._projectRoots.some(root => isDescendant(fp.resolve(root), filePath)));
+
+      // A haste package is used when any module inside it is used.
+      const usedDirs = new Set();
+      usedPaths.forEach(filePath => {
+        let dirPath = fp.dirname(filePath);
+        while (!usedDirs.has(dirPath)) {
+          usedDirs.add(dirPath);
+          dirPath = fp.dirname(dirPath);
+        }
+      });
+
+      const hasteMap = this._hasteMap.toJSON();
+      const hasteModules = Object.keys(hasteMap).filter(name => {
+        const pathsMap = hasteMap[name];
+        return Object.keys(pathsMap).every(platform => {
+          const filePath = pathsMap[platform];
+          return filePath.endsWith(PACKAGE_JSON) ?
+            !usedDirs.has(fp.dirname(filePath)) :
+            !usedPaths.has(filePath);
+        });
+      }).sort();
+
+      // An asset is used when any of its scales is used.
+      const usedAssets = new Set();
+      usedPaths.forEach(filePath => {
+        if (matchExtensions(this._assetExts, filePath)) {
+          usedAssets.add(getAssetKey(filePath, this._platforms));
+        }
+      });
+
+      const assets = allFiles.filter(filePath =>
+        matchExtensions(this._assetExts, filePath) &&
+        !usedAssets.has(getAssetKey(filePath, this._platforms)));
+
+      return {
+        files: files.sort(),
+        hasteModules,
+        assets: assets.sort(),
+      };
     });
   },
 
@@ -287,6 +738,69 @@ type.defineMethods({
     return this._moduleCache.createPolyfill(options);
   },
 
+  _getHasteMapJSON() {
+    const hasteModules = this._hasteMap.toJSON();
+    const json = {};
+    Object.keys(hasteModules).forEach(moduleName => {
+      const map = hasteModules[moduleName];
+      const modulePath = map.generic || map[Object.keys(map)[0]];
+      if (modulePath) {
+        json[moduleName] = fp.relative(this._moduleRoot, modulePath);
+      }
+    });
+    return json;
+  },
+
+  _createResolutionCache(options) {
+    return ResolutionCache({
+      ...options,
+      platforms: this._platforms,
+      preferNativePlatform: this._preferNativePlatform,
+      maxConcurrentResolutions: this._maxConcurrentResolutions,
+      exportConditions: this._exportConditions[options.platform] || (
+        options.platform === 'web' ?
+          WEB_EXPORT_CONDITIONS : DEFAULT_EXPORT_CONDITIONS),
+      mainFields: this._mainFields[options.platform],
+      extensions: this._projectExts,
+      assetMap: this._assetMap,
+      hasteMap: this._hasteMap,
+      fastfs: this._fastfs,
+    });
+  },
+
+  _cacheResponse(responseId, response) {
+    this._responseCache.set(responseId, response);
+
+    // Release the least recently used responses.
+    const responseIds = Array.from(this._responseCache.keys());
+    const overflow = responseIds.length - this._maxCachedResponses;
+    for (let i = 0; i < overflow; i++) {
+      this._releaseResponse(responseIds[i]);
+    }
+  },
+
+  _releaseResponse(responseId) {
+    const response = this._responseCache.get(responseId);
+    if (response) {
+      this._responseCache.delete(responseId);
+      response.release();
+    }
+  },
+
+  // Symlinks that point outside every root need their own watchers.
+  _watchLinkRoots(fileWatcher) {
+    const globs = this._allExts().map(ext => '**/*.' + ext);
+    return Promise.map(this._fastfs.getLinkRoots(), (dirPath) =>
+      fileWatcher.watch({dir: dirPath, globs})
+      .fail(error => {
+        this._reporter.update({
+          type: 'link-watch-failed',
+          dirPath,
+          error,
+        });
+      }));
+  },
+
   _allRoots() {
     return this._projectRoots
       .concat(this._assetRoots);
@@ -297,10 +811,28 @@ type.defineMethods({
       .concat(this._assetExts);
   },
 
+  // A file revision that no snapshot is older than can never mark a module
+  // as changed, so it is forgotten (see 'ResolutionResponse.getDelta').
+  _pruneFileRevisions() {
+    let oldest = this._revision;
+    this._responseCache.forEach(response => {
+      const revision = response.getOldestSnapshot();
+      if (revision !== null && revision < oldest) {
+        oldest = revision;
+      }
+    });
+    const fileRevisions = this._fileRevisions;
+    Object.keys(fileRevisions).forEach(filePath => {
+      if (fileRevisions[filePath] <= oldest) {
+        delete fileRevisions[filePath];
+      }
+    });
+  },
+
   _resolveEntryFile(entryFile) {
-    return fp.isAbsolute(entryFile) ?
+    return this._fastfs.getRealPath(fp.isAbsolute(entryFile) ?
       fp.resolve(entryFile) :
-      fp.join(process.cwd(), entryFile)
+      fp.join(process.cwd(), entryFile));
   },
 
   _getRequestPlatform(entryFile, platform) {
@@ -322,25 +854,104 @@ type.defineMethods({
   },
 
   _processFileChange(type, filePath, root, fstat) {
-    const absPath = fp.join(root, filePath);
+    const absPath = this._fastfs.getRealPath(fp.join(root, filePath));
     if (this._blacklist(absPath)) {
       return;
     }
 
-    const module = this._moduleCache.getCachedModule(absPath);
-    module && sync.each(this._responseCache, (response, responseId) => {
-      if (!response.hasResolution(module)) {
+    this._fileRevisions[absPath] = ++this._revision;
+
+    if (this._graphCache) {
+      this._graphCache.processFileChange(type, absPath);
+
+      // Restored edges are reused unless this change can affect them.
+      if (absPath.endsWith(PACKAGE_JSON)) {
+        this._responseCache.forEach((response) =>
+          response.clearRestoredEdges());
+      } else if (type !== 'change') {
+        const stalePaths = new Set([absPath]);
+        this._responseCache.forEach((response) =>
+          response.dropRestoredEdges(stalePaths));
+      }
+      this._persistGraphEventually();
+    }
+
+    const onError = this._onResolutionError.bind(this);
+    const changes = [];
+
+    this._responseCache.forEach((response, responseId) => {
+      // The ModuleCache forgets a deleted module before we get here.
+      const module = response.findModule(absPath);
+
+      // A new file may fix any require that failed to resolve.
+      const unresolved = !module && type === 'add' ?
+        response.getUnresolved() : [];
+
+      if (!module && !unresolved.length) {
         return;
       }
-      const resolution = response.getResolution(module);
-      if (type === 'delete') {
-        resolution.unload();
+      const request = JSON.parse(responseId);
+      const dependencies = new Set(response.dependencies);
+
+      let reloading;
+      if (!module) {
+        reloading = Promise.map(unresolved, (resolution) =>
+          resolution.reloadRequires({
+            force: true,
+            recursive: request.recursive,
+            onError,
+          }));
+      } else if (type === 'delete') {
+        response.getResolution(module).unload();
       } else {
-        resolution.reloadRequires({
-          recursive: JSON.parse(responseId).recursive,
-          onError: this._onResolutionError.bind(this),
+        reloading = response.getResolution(module).reloadRequires({
+          recursive: request.recursive,
+          onError,
         });
       }
+
+      changes.push(
+        Promise(reloading)
+        .then(() => response.settle({onError}))
+        .then(() => {
+          const newDependencies = new Set(response.dependencies);
+          const added = getPaths(newDependencies, dependencies);
+          const removed = getPaths(dependencies, newDependencies);
+
+          // Leave out the responses that the new file did not fix.
+          if (!module && !added.length && !removed.length) {
+            return null;
+          }
+          return {
+            entryFile: request.entryFile,
+            entryFiles: request.entryFiles,
+            platform: request.platform,
+            added,
+            removed,
+          };
+        })
+        .fail(error => {
+          this._reporter.update({
+            type: 'change-failed',
+            filePath: absPath,
+            entryFile: request.entryFile,
+            entryFiles: request.entryFiles,
+            platform: request.platform,
+            error,
+          });
+          return null;
+        })
+      );
+    });
+
+    // Let consumers know which responses were affected by this change.
+    // Responses that failed to update are reported, but left out.
+    Promise.map(changes).then(responses => {
+      this.emit('change', {
+        type,
+        filePath: absPath,
+        responses: responses.filter(Boolean),
+      });
     });
 
     // Ok, this is some tricky promise code. Our requirements are:
@@ -352,10 +963,10 @@ type.defineMethods({
     // we are in an error state and we should decide to do a full rebuild.
     this._loading = this._loading.always(() => {
       if (this._hasteMapError) {
-        console.warn(
-          'Rebuilding haste map to recover from error:\n' +
-          this._hasteMapError.stack
-        );
+        this._reporter.update({
+          type: 'haste-map-rebuilding',
+          error: this._hasteMapError,
+        });
         this._hasteMapError = null;
 
         // Rebuild the entire map if last change resulted in an error.
@@ -369,12 +980,46 @@ type.defineMethods({
   },
 })
 
+type.defineStatics({
+
+  /**
+   * Limits how many files are read (or stat'd) at once. The I/O queue is
+   * shared by every DependencyGraph in the process, so this affects all of
+   * them, including those already created.
+   */
+  setMaxConcurrentIO(limit) {
+    ioQueue.concurrency = limit;
+  },
+
+  /**
+   * Returns the state of the shared I/O queue.
+   */
+  getIOMetrics() {
+    return ioQueue.getMetrics();
+  },
+})
+
 module.exports = type.build()
 
 //
 // Helpers
 //
 
+// Returns the paths of the modules in 'modules' that 'other' does not have.
+function getPaths(modules, other) {
+  const paths = [];
+  modules.forEach(module => {
+    other.has(module) || paths.push(module.path);
+  });
+  return paths;
+}
+
+// Every scale of an asset has the same key.
+function getAssetKey(filePath, platforms) {
+  const asset = getAssetDataFromName(filePath, platforms);
+  return asset.assetName + ':' + asset.platform;
+}
+
 function resolveKeyWithPromise([key, promise]) {
   return promise.then(value => [key, value]);
 }
@@ -12,6 +12,7 @@ const fs = require('io');
 const Promise = require('Promise');
 
 const fp = require('./fastpath');
+const ioQueue = require('./utils/ioQueue');
 const readWhile = require('./utils/readWhile');
 
 const NOT_FOUND_IN_ROOTS = 'NotFoundInRootsError';
@@ -26,14 +27,14 @@ class File {
 
   read() {
     if (!this._read) {
-      this._read = fs.async.read(this.path);
+      this._read = ioQueue.push(() => fs.async.read(this.path));
     }
 
     return this._read;
   }
 
   readWhile(predicate) {
-    return readWhile(this.path, predicate).then(({result, completed}) => {
+    return ioQueue.push(() => readWhile(this.path, predicate)).then(({result, completed}) => {
       if (completed && !this._read) {
         this._read = Promise(result);
       }
@@ -0,0 +1,256 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const Promise = require('Promise');
+const PureObject = require('PureObject');
+const Type = require('Type');
+const crypto = require('crypto');
+const fromArgs = require('fromArgs');
+const fs = require('io');
+const jsonStableStringify = require('json-stable-stringify');
+
+const Cache = require('./Cache');
+const ConsoleReporter = require('./reporters/ConsoleReporter');
+const dropStaleEdges = require('./utils/dropStaleEdges');
+const ioQueue = require('./utils/ioQueue');
+
+const PACKAGE_JSON = /[\\\/]package\.json$/;
+
+const type = Type('GraphCache')
+
+type.defineOptions({
+  cacheFilePath: String.isRequired,
+  resolverOptions: Object,
+  cacheKey: String,
+  reporter: Object.Kind,
+})
+
+type.defineValues({
+
+  _cacheFilePath: fromArgs('cacheFilePath'),
+
+  _reporter: (opts) => opts.reporter || ConsoleReporter(),
+
+  // Any option that affects how requires are resolved. When this is null,
+  // the graph is never restored or persisted (see 'hashOptions').
+  _optionsHash: (opts) => hashOptions(opts.resolverOptions || {}, opts.cacheKey),
+
+  // The graph persisted by a previous process, unless
+  // it was resolved with different options.
+  _data(opts) {
+    if (this._optionsHash == null) {
+      return Object.create(null);
+    }
+    const data = Cache.loadCacheSync(opts.cacheFilePath);
+    if (data.optionsHash !== this._optionsHash) {
+      return Object.create(null);
+    }
+    return data;
+  },
+
+  // The modification time of every known file.
+  _mtimes: PureObject.create,
+
+  // The files that are only stat'ed once the graph is persisted.
+  _unstatedPaths: null,
+
+  // The pending stats of changed files.
+  _statting: PureObject.create,
+
+  // The persisted edges of each ResolutionResponse, once validated.
+  _responses: PureObject.create,
+
+  _persisting: null,
+})
+
+type.defineMethods({
+
+  /**
+   * Stats every file and compares it with the persisted graph (if any).
+   * Returns a promise with null when the persisted haste map cannot be
+   * reused (without stat'ing anything when nothing was persisted).
+   * Otherwise, the promise has the persisted haste map and an
+   * `isUnchanged` function for file paths.
+   */
+  getSnapshot(filePaths) {
+    const {files, hasteMap} = this._data;
+    if (!files || !hasteMap) {
+      this._unstatedPaths = filePaths;
+      return Promise(null);
+    }
+
+    return Promise.map(filePaths, (filePath) =>
+      getMtime(filePath).then(mtime => {
+        this._mtimes[filePath] = mtime;
+      }))
+    .then(() => {
+      const isUnchanged = (filePath) =>
+        files[filePath] != null && files[filePath] === this._mtimes[filePath];
+
+      // Every module's haste name depends on its 'package.json'.
+      const packagePaths = Object.keys(files)
+        .concat(filePaths)
+        .filter(filePath => PACKAGE_JSON.test(filePath));
+
+      if (!packagePaths.every(isUnchanged)) {
+        this._data = Object.create(null);
+        return null;
+      }
+
+      return {hasteMap, isUnchanged};
+    });
+  },
+
+  /**
+   * Persisted edges are only reused when the rebuilt haste map is identical
+   * to the persisted one. Modules that depend on a file that was added or
+   * removed since then have their edges dropped.
+   */
+  restoreResponses(hasteMap) {
+    const {files, responses, hasteMap: persistedHasteMap} = this._data;
+    this._data = Object.create(null);
+
+    if (!files || !responses) {
+      return;
+    }
+    if (jsonStableStringify(hasteMap) !== jsonStableStringify(persistedHasteMap)) {
+      return;
+    }
+
+    const stalePaths = new Set();
+    Object.keys(files).forEach(filePath => {
+      this._mtimes[filePath] == null && stalePaths.add(filePath);
+    });
+    Object.keys(this._mtimes).forEach(filePath => {
+      files[filePath] == null && stalePaths.add(filePath);
+    });
+
+    this._responses = dropResponseEdges(responses, stalePaths);
+  },
+
+  // Returns the persisted edges of a ResolutionResponse (only once).
+  takeEdges(responseId) {
+    const edges = this._responses[responseId];
+    delete this._responses[responseId];
+    return edges;
+  },
+
+  processFileChange(type, filePath) {
+    // A 'package.json' can affect how any require is resolved, but
+    // other files only affect the requires resolved to them.
+    if (PACKAGE_JSON.test(filePath)) {
+      this._responses = Object.create(null);
+    } else if (type !== 'change') {
+      this._responses = dropResponseEdges(this._responses, new Set([filePath]));
+    }
+
+    if (type === 'delete') {
+      delete this._mtimes[filePath];
+      delete this._statting[filePath];
+      return;
+    }
+
+    const statting = getMtime(filePath).then(mtime => {
+      // A newer change may have replaced this stat.
+      if (this._statting[filePath] === statting) {
+        delete this._statting[filePath];
+        this._mtimes[filePath] = mtime;
+      }
+    });
+    this._statting[filePath] = statting;
+  },
+
+  persist({hasteMap, responses}) {
+    if (this._persisting != null) {
+      return this._persisting;
+    }
+    if (this._optionsHash == null) {
+      return Promise();
+    }
+
+    const unstatedPaths = this._unstatedPaths || [];
+    this._unstatedPaths = null;
+
+    const cacheFilePath = this._cacheFilePath;
+    this._persisting = Promise.map(unstatedPaths, (filePath) =>
+      getMtime(filePath).then(mtime => {
+        if (mtime != null && this._mtimes[filePath] == null) {
+          this._mtimes[filePath] = mtime;
+        }
+      }))
+    .then(() => Promise.map(values(this._statting)))
+    .then(() => fs.async.write(
+      cacheFilePath,
+      JSON.stringify({
+        optionsHash: this._optionsHash,
+        files: this._mtimes,
+        hasteMap,
+        responses,
+      })
+    ))
+    .fail(error => {
+      this._reporter.update({
+        type: 'graph-persist-failed',
+        cacheFilePath,
+        error,
+      });
+    })
+    .always(() => {
+      this._persisting = null;
+    });
+
+    return this._persisting;
+  },
+})
+
+module.exports = type.build()
+
+//
+// Helpers
+//
+
+// Patterns are hashed by their source. Functions (eg: custom resolvers) are
+// not, since closures can capture different state. They must be covered by
+// the given cache key instead. Returns null when a function has no cache key.
+function hashOptions(options, cacheKey) {
+  let hasFunctions = false;
+  const json = jsonStableStringify({options, cacheKey}, {
+    replacer: (key, value) => {
+      if (typeof value === 'function') {
+        hasFunctions = true;
+        return undefined;
+      }
+      return value instanceof RegExp ? String(value) : value;
+    },
+  });
+  if (hasFunctions && cacheKey == null) {
+    return null;
+  }
+  return crypto.createHash('md5').update(json).digest('hex');
+}
+
+// Resolves with null when the file cannot be stat'ed.
+function getMtime(filePath) {
+  return ioQueue.push(() => fs.async.stats(filePath))
+    .then(stats => stats.mtime.getTime(), () => null);
+}
+
+// Applies 'dropStaleEdges' to the edges of every response.
+function dropResponseEdges(responses, stalePaths) {
+  const result = Object.create(null);
+  Object.keys(responses).forEach(responseId => {
+    result[responseId] = dropStaleEdges(responses[responseId], stalePaths);
+  });
+  return result;
+}
+
+function values(object) {
+  return Object.keys(object).map(key => object[key]);
+}
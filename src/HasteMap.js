@@ -53,10 +53,19 @@ type.defineValues({
 
 type.defineMethods({
 
-  build() {
+  // Pass a snapshot (see GraphCache) to skip reading any unchanged files.
+  build(snapshot) {
     this._map = Object.create(null);
+
+    let isUnchanged = emptyFunction.thatReturnsFalse;
+    if (snapshot) {
+      isUnchanged = snapshot.isUnchanged;
+      this._restore(snapshot.hasteMap, isUnchanged);
+    }
+
     return Promise.map(this._fastfs.getAllFiles(), (filePath) => {
       if (this._blacklist(filePath)) { return }
+      if (isUnchanged(filePath)) { return }
       if (matchExtensions(this._projectExts, filePath)) {
         return this._processHasteModule(filePath);
       } else if (filePath.endsWith(PACKAGE_JSON)) {
@@ -116,6 +125,37 @@ type.defineMethods({
     return module;
   },
 
+  // Returns the path of every haste module, grouped by name and platform.
+  toJSON() {
+    const json = Object.create(null);
+    for (const name in this._map) {
+      const modulesMap = this._map[name];
+      json[name] = Object.create(null);
+      for (const platform in modulesMap) {
+        json[name][platform] = modulesMap[platform].path;
+      }
+    }
+    return json;
+  },
+
+  _restore(json, isUnchanged) {
+    for (const name in json) {
+      const pathsMap = json[name];
+      for (const platform in pathsMap) {
+        const filePath = pathsMap[platform];
+        if (!isUnchanged(filePath) || this._blacklist(filePath)) {
+          continue;
+        }
+        if (this._map[name] == null) {
+          this._map[name] = Object.create(null);
+        }
+        this._map[name][platform] = filePath.endsWith(PACKAGE_JSON) ?
+          this._moduleCache.getPackage(filePath) :
+          this._moduleCache.getModule(filePath);
+      }
+    }
+  },
+
   _processHasteModule(file) {
     const module = this._moduleCache.getModule(file);
     return module.isHaste().then(
@@ -17,6 +17,7 @@ const Type = require('Type');
 
 const crypto = require('crypto');
 const docblock = require('./utils/docblock');
+const emptyArray = require('./utils/emptyArray');
 const emptyFunction = require('emptyFunction');
 const extractRequires = require('./utils/extractRequires');
 const fp = require('./fastpath');
@@ -70,18 +71,19 @@ type.defineMethods({
     return this._cache.get(entry, key, factory);
   },
 
-  isMain() {
-    return this.get('isMain', () =>
+  // The 'mainFields' default to those of 'Package.getMain'.
+  isMain(mainFields) {
+    return this.get(mainFieldsKey('isMain', mainFields), () =>
       this.read().then(data => {
         const pkg = this.getPackage();
-        return pkg.getMain()
+        return pkg.getMain(mainFields)
         .then(mainPath => this.path === mainPath);
       })
     );
   },
 
-  isHaste() {
-    return this.get('isHaste', () =>
+  isHaste(mainFields) {
+    return this.get(mainFieldsKey('isHaste', mainFields), () =>
       this._readDocBlock().then(data => {
         if (!!data.id) {
           return true;
@@ -89,7 +91,7 @@ type.defineMethods({
         if (!this._isHasteCompatible()) {
           return false;
         }
-        return this.isMain()
+        return this.isMain(mainFields)
         .then(isMain => {
           if (!isMain) {
             return false;
@@ -110,23 +112,23 @@ type.defineMethods({
     return this.read(transformOptions).then(({map}) => map);
   },
 
-  getName() {
-    return this.get('name', () =>
+  getName(mainFields) {
+    return this.get(mainFieldsKey('name', mainFields), () =>
       this._readDocBlock().then(({id}) => {
         if (id) {
           return id;
         }
         if (!this._isHasteCompatible()) {
-          return fp.relative(lotus.path, this.path);
+          return fp.relative(this._moduleCache.moduleRoot, this.path);
         }
         const pkg = this.getPackage();
         if (!pkg) {
           // Name is full path
           return this.path;
         }
-        return this.isMain()
+        return this.isMain(mainFields)
           .then(isMain => pkg.getName().then(name =>
-            isMain ? name : fp.relative(lotus.path, this.path)));
+            isMain ? name : fp.relative(this._moduleCache.moduleRoot, this.path)));
       })
     )
   },
@@ -140,6 +142,12 @@ type.defineMethods({
       .then(data => data.dependencies);
   },
 
+  // Returns the modules loaded on demand (eg: using `import()`).
+  readAsyncDependencies(transformOptions) {
+    return this.read(transformOptions)
+      .then(data => data.asyncDependencies || emptyArray);
+  },
+
   read(transformOptions) {
     return this.get(
       cacheKey('moduleData', transformOptions),
@@ -160,14 +168,20 @@ type.defineMethods({
               ? transformCode(this, source, transformOptions)
               : Promise({code: source});
           return codePromise.then(result => {
-            const {
-              code,
-              dependencies = extern ? [] : this._extractor(code).deps.sync,
-            } = result;
+            let {code, dependencies, asyncDependencies} = result;
+            if (!dependencies) {
+              const deps = extern ? {} : this._extractor(code).deps;
+              dependencies = deps.sync || [];
+              asyncDependencies = deps.async;
+            }
+            const data = {dependencies};
+            if (asyncDependencies && asyncDependencies.length) {
+              data.asyncDependencies = asyncDependencies;
+            }
             if (this._options && this._options.cacheTransformResults === false) {
-              return {dependencies};
+              return data;
             } else {
-              return {...result, dependencies, id, source};
+              return {...result, ...data, id, source};
             }
           });
         });
@@ -282,6 +296,10 @@ function stableObjectHash(object) {
   return digest;
 }
 
+function mainFieldsKey(field, mainFields) {
+  return mainFields ? mainFields.join(',') + '\0' + field : field;
+}
+
 function cacheKey(field, transformOptions) {
   return transformOptions !== undefined
       ? stableObjectHash(transformOptions) + '\0' + field
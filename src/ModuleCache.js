@@ -14,8 +14,10 @@ const LazyVar = require('LazyVar');
 const PureObject = require('PureObject');
 const Type = require('Type');
 const assertType = require('assertType');
+const createAliasMatcher = require('./utils/createAliasMatcher');
 const fp = require('./fastpath');
 const fromArgs = require('fromArgs');
+const inArray = require('in-array');
 
 const AssetModule = LazyVar(() => require('./AssetModule'));
 const Module = LazyVar(() => require('./Module'));
@@ -23,6 +25,9 @@ const NullModule = LazyVar(() => require('./NullModule'));
 const Package = LazyVar(() => require('./Package'));
 const Polyfill = LazyVar(() => require('./Polyfill'));
 
+// The built-in resolution strategies (see 'Resolution._resolveModule').
+const BUILTIN_RESOLVERS = ['asset', 'haste', 'path', 'lotus', 'node'];
+
 const type = Type('ModuleCache')
 
 type.defineOptions({
@@ -35,10 +40,38 @@ type.defineOptions({
   moduleOptions: Object,
   extraNodeModules: Object,
   redirect: PureObject,
+  moduleRoot: String,
+  lotus: Object,
+  resolvers: Array,
+  aliases: Array,
 })
 
 type.defineValues({
 
+  // Module names are relative to this directory.
+  moduleRoot: (opts) => opts.moduleRoot || process.cwd(),
+
+  // The optional lotus-style resolver (see 'Resolution._resolveLotusFile').
+  lotus: fromArgs('lotus'),
+
+  // The ordered resolution strategies. Each is the name of a built-in
+  // strategy, or a custom resolver function.
+  // By default, the 'lotus' strategy replaces the 'path' strategy
+  // when a 'lotus' option is passed.
+  resolvers(opts) {
+    const resolvers = opts.resolvers ||
+      ['asset', 'haste', opts.lotus ? 'lotus' : 'path', 'node'];
+    resolvers.forEach(resolver => {
+      if (typeof resolver !== 'function' && !inArray(BUILTIN_RESOLVERS, resolver)) {
+        throw Error(`Unknown resolver: '${resolver}'`);
+      }
+      if (resolver === 'lotus' && !opts.lotus) {
+        throw Error('The \'lotus\' resolver requires a \'lotus\' option!');
+      }
+    });
+    return resolvers;
+  },
+
   _modules: PureObject.create,
 
   _packages: PureObject.create,
@@ -64,6 +97,13 @@ type.defineValues({
   _extraNodeModules: fromArgs('extraNodeModules'),
 
   _redirect: (opts) => opts.redirect || Object.create(null),
+
+  // Maps a require string with the 'aliases' rules (see 'createAliasMatcher').
+  _matchAlias(opts) {
+    if (opts.aliases) {
+      return createAliasMatcher(opts.aliases, this.moduleRoot);
+    }
+  },
 })
 
 type.initInstance(function({ fastfs }) {
@@ -72,15 +112,24 @@ type.initInstance(function({ fastfs }) {
 
 type.defineMethods({
 
+  // Returns the alias of a require string, false if it should be stubbed
+  // out, or undefined if no alias rule matches.
+  getAlias(requiredPath) {
+    if (this._matchAlias) {
+      return this._matchAlias(requiredPath);
+    }
+  },
+
   getAllModules() {
     return this._modules;
   },
 
   getCachedModule(modulePath) {
-    return this._modules[modulePath];
+    return this._modules[this._getRealPath(modulePath)];
   },
 
   getModule(modulePath) {
+    modulePath = this._getRealPath(modulePath);
     return this._getModule(
       modulePath,
       this._modules,
@@ -113,6 +162,7 @@ type.defineMethods({
   },
 
   getAssetModule(modulePath) {
+    modulePath = this._getRealPath(modulePath);
     return this._getModule(
       modulePath,
       this._modules,
@@ -128,6 +178,7 @@ type.defineMethods({
   },
 
   getPackage(packagePath) {
+    packagePath = this._getRealPath(packagePath);
     return this._getModule(
       packagePath,
       this._packages,
@@ -185,6 +236,13 @@ type.defineMethods({
     return this._moduleIds[moduleId] != null;
   },
 
+  // Modules are identified by their real path, so a file
+  // reached through a symlink is never loaded twice.
+  _getRealPath(modulePath) {
+    return fp.isAbsolute(modulePath) ?
+      this._fastfs.getRealPath(modulePath) : modulePath;
+  },
+
   _getModule(modulePath, moduleCache, createModule) {
     let module = moduleCache[modulePath];
     if (!module) {
@@ -210,7 +268,7 @@ type.defineMethods({
   },
 
   _processFileChange(type, filePath, root) {
-    const absPath = fp.join(root, filePath);
+    const absPath = this._getRealPath(fp.join(root, filePath));
     const mod = this._modules[absPath];
     const pkg = this._packages[absPath];
     if (mod) {
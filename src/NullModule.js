@@ -10,6 +10,7 @@
 
 const Promise = require('Promise');
 const Type = require('Type');
+const emptyArray = require('./utils/emptyArray');
 
 const Module = require('./Module');
 
@@ -39,6 +40,10 @@ type.overrideMethods({
     return Promise([]);
   },
 
+  readAsyncDependencies() {
+    return Promise(emptyArray);
+  },
+
   isJSON() {
     return false;
   },
@@ -15,6 +15,10 @@ const Cache = require('./Cache');
 const Fastfs = require('./fastfs');
 const ModuleCache = require('./ModuleCache');
 const fp = require('./fastpath');
+const resolveExports = require('./utils/resolveExports');
+
+// The 'package.json' fields used when no 'mainFields' are given.
+const DEFAULT_MAIN_FIELDS = ['react-native', 'browser', 'main'];
 
 const type = Type('Package')
 
@@ -42,14 +46,12 @@ type.defineValues({
 
 type.defineMethods({
 
-  getMain() {
+  // The 'mainFields' are 'package.json' fields in order of precedence.
+  getMain(mainFields = DEFAULT_MAIN_FIELDS) {
     return this.read().then(json => {
-      const replacements = getReplacements(json);
+      const replacements = getReplacements(json, mainFields);
 
-      let main = json.main;
-      if (typeof replacements === 'string') {
-        main = replacements;
-      }
+      let main = getMainField(json, mainFields);
 
       let ext;
       if (main) {
@@ -75,6 +77,19 @@ type.defineMethods({
     });
   },
 
+  hasExports() {
+    return this.read().then(json => json.exports != null);
+  },
+
+  // Resolves a subpath (like '.' or './feature') with the "exports" field.
+  // Returns null if there is no "exports" field, or the subpath is not exported.
+  resolveExport(subpath, conditions) {
+    return this.read().then(json => {
+      const target = resolveExports(json.exports, subpath, conditions);
+      return target ? fp.join(this.root, target) : null;
+    });
+  },
+
   isHaste() {
     return this._cache.get(this.path, 'package-haste', () =>
       this.read().then(json => !!json.name)
@@ -87,15 +102,15 @@ type.defineMethods({
     );
   },
 
-  redirectRequire(moduleName, resolveFilePath) {
+  redirectRequire(moduleName, resolveFilePath, mainFields = DEFAULT_MAIN_FIELDS) {
 
     if (moduleName[0] === '.') {
       throw new Error('Relative paths are not supported!');
     }
 
     return this.read().then(json => {
-      const replacements = getReplacements(json);
-      if (!replacements || typeof replacements !== 'object') {
+      const replacements = getReplacements(json, mainFields);
+      if (!replacements) {
         return moduleName;
       }
 
@@ -160,26 +175,25 @@ module.exports = type.build()
 // Helpers
 //
 
-function getReplacements(pkg) {
-  let rn = pkg['react-native'];
-  let browser = pkg.browser;
-  if (rn == null) {
-    return browser;
-  }
-
-  if (browser == null) {
-    return rn;
-  }
-
-  if (typeof rn === 'string') {
-    rn = { [pkg.main]: rn };
+// Returns the first main field that is a string.
+function getMainField(pkg, mainFields) {
+  for (let i = 0; i < mainFields.length; i++) {
+    const main = pkg[mainFields[i]];
+    if (typeof main === 'string') {
+      return main;
+    }
   }
+}
 
-  if (typeof browser === 'string') {
-    browser = { [pkg.main]: browser };
+// Merges the main fields that are objects (like "browser" or "react-native").
+// Earlier fields override later fields. Returns null if none are objects.
+function getReplacements(pkg, mainFields) {
+  let replacements = null;
+  for (let i = mainFields.length - 1; i >= 0; i--) {
+    const field = pkg[mainFields[i]];
+    if (field && typeof field === 'object') {
+      replacements = { ...replacements, ...field };
+    }
   }
-
-  // merge with "browser" as default,
-  // "react-native" as override
-  return { ...browser, ...rn };
+  return replacements;
 }
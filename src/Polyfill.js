@@ -10,6 +10,7 @@
 
 const Promise = require('Promise');
 const Type = require('Type');
+const emptyArray = require('./utils/emptyArray');
 const fromArgs = require('fromArgs');
 
 const Module = require('./Module');
@@ -33,7 +34,7 @@ type.overrideMethods({
   getName() {
     return Promise.try(() => {
       if (fp.isAbsolute(this._id)) {
-        return lotus.relative(this._id);
+        return fp.relative(this._moduleCache.moduleRoot, this._id);
       }
       return this._id;
     });
@@ -47,6 +48,10 @@ type.overrideMethods({
     return Promise(this._dependencies);
   },
 
+  readAsyncDependencies() {
+    return Promise(emptyArray);
+  },
+
   isJSON() {
     return false;
   },
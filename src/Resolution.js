@@ -24,7 +24,9 @@ const util = require('util');
 
 const Module = require('./Module');
 const ResolutionCache = require('./ResolutionCache');
+const CancelledError = require('./utils/CancelledError');
 const fp = require('./fastpath');
+const getPackageName = require('./utils/getPackageName');
 const resolveFileExtension = require('./utils/resolveFileExtension');
 const resolveFilePlatform = require('./utils/resolveFilePlatform');
 
@@ -41,13 +43,25 @@ type.defineValues({
 
   _cache: fromArgs(1),
 
+  // The sync and async requires, in that order.
   _moduleRequires: () => [],
 
+  _syncRequires: null,
+
+  // The requires that are loaded on demand (see 'Module.readAsyncDependencies').
+  _asyncRequires: () => [],
+
   _modulePaths: () => [],
 
   _modulePromises: PureObject.create,
 
   _allResolved: null,
+
+  // When explaining a resolution, every candidate is pushed here.
+  _trace: null,
+
+  // The resolution strategy currently being traced.
+  _traceStrategy: null,
 })
 
 type.defineGetters({
@@ -87,19 +101,40 @@ type.defineMethods({
       recursive: Boolean.Maybe,
       onError: Function.Maybe,
       onProgress: Function.Maybe,
+      signal: Object.Maybe,
     })
+
+    // Stop recursing once the request is cancelled. The next call
+    // to 'ResolutionCache.allResolved()' will pick up from here.
+    const {signal} = options;
+    if (signal && signal.aborted) {
+      this._cache.markIncomplete(this);
+      return Promise.reject(new CancelledError());
+    }
+
     const needsResolving = this._cache.markResolving(this);
     if (!needsResolving) {
       return this._allResolved;
     }
-    return this._module.readDependencies(this._cache.transformOptions)
-    .then(moduleRequires => {
-      if (!options.force && moduleRequires === this._moduleRequires) {
+    const {transformOptions} = this._cache;
+    return Promise.map([
+      this._module.readDependencies(transformOptions),
+      this._module.readAsyncDependencies(transformOptions),
+    ])
+    .then(([syncRequires, asyncRequires]) => {
+      if (!options.force &&
+          syncRequires === this._syncRequires &&
+          asyncRequires === this._asyncRequires) {
         return this._allResolved;
       }
+      this._syncRequires = syncRequires;
+      this._asyncRequires = asyncRequires;
+      const moduleRequires = syncRequires.concat(
+        asyncRequires.filter(requiredPath => !inArray(syncRequires, requiredPath))
+      );
       return this._resolveRequires(moduleRequires, options.onError)
       .then(moduleDeps => {
-        return Promise.chain(moduleDeps, (moduleDep) => {
+        return this._forEachRequire(moduleDeps, (moduleDep) => {
           if (!moduleDep) {
             return;
           }
@@ -119,9 +154,60 @@ type.defineMethods({
       options.onProgress && options.onProgress(moduleDeps, this);
       this._cache.markResolved(this);
       return moduleDeps;
+    })
+    .fail(error => {
+      if (error.type === 'CancelledError') {
+        this._cache.markIncomplete(this);
+      }
+      // Never leave the cache waiting on a failed resolution.
+      this._cache.markResolved(this);
+      throw error;
+    });
+  },
+
+  // Returns the require strings that resolved to a module, in require order.
+  // Requires that are loaded on demand (eg: using `import()`) are marked async.
+  getResolvedRequires() {
+    const results = [];
+    this._moduleRequires.forEach((requiredPath, index) => {
+      const modulePath = this._modulePaths[index];
+      if (modulePath != null) {
+        results.push({
+          requiredPath,
+          path: modulePath,
+          async: this.isAsyncRequire(requiredPath),
+        });
+      }
+    });
+    return results;
+  },
+
+  /**
+   * Resolves the given require string, and returns every candidate
+   * that was tried (in order) along with why it was accepted or rejected.
+   */
+  explain(requiredPath) {
+    const trace = this._trace = [];
+    return this._resolveModule(requiredPath)
+    .then(module => ({path: module.path, error: null}))
+    .fail(error => ({path: null, error}))
+    .then(({path, error}) => {
+      this._trace = null;
+      return {requiredPath, path, error, candidates: trace};
     });
   },
 
+  // Returns true when any require has not resolved to a module.
+  hasUnresolvedRequires() {
+    return this._moduleRequires.some((requiredPath, index) =>
+      this._modulePaths[index] == null);
+  },
+
+  isAsyncRequire(requiredPath) {
+    return inArray(this._asyncRequires, requiredPath) &&
+      !inArray(this._syncRequires || [], requiredPath);
+  },
+
   markDirty(modulePath) {
     assertType(modulePath, String);
     return this._allResolved.then(() => {
@@ -136,7 +222,7 @@ type.defineMethods({
 
   unload() {
     this._cache.clearDependers(this._module);
-    this._cache.deleteResolution(this);
+    this._cache.deleteResolution(this._module);
   },
 
   _markDirty(requiredPath) {
@@ -170,10 +256,14 @@ type.defineMethods({
 
     const moduleDeps = [];
     const modulePaths = this._modulePaths;
-    return this._allResolved = Promise.chain(moduleRequires, (requiredPath, index) => {
+    const {maxConcurrentResolutions, resolveQueue} = this._cache;
+    return this._allResolved = this._forEachRequire(moduleRequires, (requiredPath, index) => {
       let modulePromise = modulePromises[requiredPath];
       if (!modulePromise) {
-        modulePromise = this._resolveModule(requiredPath);
+        modulePromise = this._restoreModule(requiredPath) || (
+          maxConcurrentResolutions > 1 ?
+            resolveQueue.push(() => this._resolveModule(requiredPath)) :
+            this._resolveModule(requiredPath));
         onError && modulePromise.fail(error => {
           onError(error, {
             requiredPath,
@@ -186,7 +276,8 @@ type.defineMethods({
         if (!modulePromise.isAborted) {
           modulePaths[index] = dependency.path;
         }
-        moduleDeps.push(dependency);
+        // Keep the require order, even when resolving in parallel.
+        moduleDeps[index] = dependency;
         return dependency;
       })
       .fail(error => {
@@ -196,7 +287,32 @@ type.defineMethods({
       });
       return modulePromises[requiredPath] = modulePromise;
     })
-    .then(() => moduleDeps);
+    .then(() => moduleDeps.filter(Boolean));
+  },
+
+  // Calls the iterator for each item, one at a time. In parallel mode
+  // (see 'maxConcurrentResolutions'), every item is iterated at once.
+  _forEachRequire(items, iterator) {
+    if (this._cache.maxConcurrentResolutions > 1) {
+      return Promise.map(items.map(iterator));
+    }
+    return Promise.chain(items, iterator);
+  },
+
+  // Reuse the module that a previous process resolved this require to.
+  _restoreModule(requiredPath) {
+    const edge = this._cache.takeRestoredEdge(this._module, requiredPath);
+    if (!edge) {
+      return null;
+    }
+    const [modulePath, moduleType] = edge;
+    if (moduleType === 'NullModule') {
+      return Promise(this._moduleCache.getNullModule(modulePath));
+    }
+    if (moduleType === 'AssetModule') {
+      return Promise(this._moduleCache.getAssetModule(modulePath));
+    }
+    return Promise(this._moduleCache.getModule(modulePath));
   },
 
   _resolveModule(requiredPath) {
@@ -205,43 +321,118 @@ type.defineMethods({
     .then(redirectedPath => {
 
       if (typeof redirectedPath !== 'string') {
+        this._explain(requiredPath, true, 'module is disabled (null module)');
         return this._moduleCache.getNullModule(requiredPath);
       }
       requiredPath = redirectedPath;
 
       // This happens when a module is imported with an incorrectly capitalized path.
       if (this._moduleCache.hasConflict(requiredPath)) {
+        this._explain(requiredPath, false, 'path differs from an existing module only by case');
         throw Error('Module already exists with identical hash: ' + requiredPath.toLowerCase());
       }
 
-      return this._resolveAssetModule(requiredPath)
+      // Try each resolver until one succeeds.
+      let promise = Promise.reject(new UnableToResolveError());
+      this._moduleCache.resolvers.forEach(resolver => {
+        promise = promise.fail(error =>
+          ignoreResolveErrors(error) &&
+          this._runResolver(resolver, requiredPath));
+      });
+      return promise;
+    });
+  },
 
-      .fail(error =>
-        ignoreResolveErrors(error) &&
-        this._resolveHasteModule(requiredPath)
+  _runResolver(resolver, requiredPath) {
+    if (typeof resolver === 'function') {
+      return this._resolveCustomModule(resolver, requiredPath);
+    }
+    switch (resolver) {
+      case 'asset':
+        return this._resolveAssetModule(requiredPath);
+      case 'haste':
+        return this._resolveHasteModule(requiredPath);
+      case 'path':
+        return this._resolvePathModule(requiredPath);
+      case 'lotus':
+        return this._resolveLotusModule(requiredPath);
+      case 'node':
+        return this._resolveNodeModule(requiredPath);
+    }
+    throw Error(`Unknown resolver: '${resolver}'`);
+  },
 
-        .fail(error =>
-          ignoreResolveErrors(error) &&
-          this._resolveLotusModule(requiredPath)
+  // Custom resolvers are called with '(requiredPath, fromModule, platform, helpers)'.
+  // They return (or resolve with) a module, an absolute path to load as a file
+  // or directory, or nothing when the require is not theirs to resolve.
+  _resolveCustomModule(resolver, requiredPath) {
+    this._explainStrategy(resolver.name || 'custom');
+    return Promise.try(() => resolver(
+      requiredPath,
+      this._module,
+      this._cache.platform,
+      this._getResolverHelpers(requiredPath)
+    ))
+    .then(result => {
+      if (result == null) {
+        this._explain(requiredPath, false, 'custom resolver returned nothing');
+        throw new UnableToResolveError();
+      }
+      if (result instanceof Module) {
+        this._explain(result.path, true, 'returned by a custom resolver');
+        return result;
+      }
+      if (typeof result !== 'string') {
+        throw TypeError(
+          'A custom resolver must return a module, a path, or nothing! ' +
+          `Got '${result}' for '${requiredPath}'`
+        );
+      }
+      return Promise.try(() =>
+        this._loadAsFile(result, requiredPath))
 
-          .fail(error =>
-            ignoreResolveErrors(error) &&
-            this._resolveNodeModule(requiredPath))));
+      .fail(error =>
+        ignoreResolveErrors(error) &&
+        this._loadAsDir(result, requiredPath));
     });
   },
 
+  _getResolverHelpers(requiredPath) {
+    const moduleCache = this._moduleCache;
+    return {
+      loadAsFile: (filePath) =>
+        Promise.try(() => this._loadAsFile(filePath, requiredPath)),
+      loadAsDir: (dirPath) =>
+        Promise.try(() => this._loadAsDir(dirPath, requiredPath)),
+      fileExists: (filePath) => this._fileExists(filePath),
+      dirExists: (dirPath) => this._dirExists(dirPath),
+      getModule: (filePath) => moduleCache.getModule(filePath),
+      getAssetModule: (filePath) => moduleCache.getAssetModule(filePath),
+      getNullModule: (filePath) => moduleCache.getNullModule(filePath),
+      resolveAsset: (assetPath) =>
+        this._cache.assetMap.resolve(assetPath, this._cache.platform),
+      resolveHaste: (moduleName) =>
+        this._cache.hasteMap.getModule(moduleName, this._cache.platform),
+    };
+  },
+
   _resolveAssetModule(requiredPath) {
+    this._explainStrategy('asset');
     const {assetMap, platform} = this._cache;
     const assetPath = assetMap.resolve(requiredPath, platform);
     if (assetPath) {
+      this._explain(assetPath, true, 'asset exists');
       return Promise(this._moduleCache.getAssetModule(assetPath));
     }
 
+    this._explain(requiredPath, false, 'no matching asset');
     return Promise.reject(new UnableToResolveError());
   },
 
   _resolveHasteModule(requiredPath) {
+    this._explainStrategy('haste');
     if (!isModuleName(requiredPath)) {
+      this._explain(requiredPath, false, 'not a module name');
       return Promise.reject(new UnableToResolveError());
     }
 
@@ -250,6 +441,7 @@ type.defineMethods({
 
     let dep = hasteMap.getModule(moduleName, platform);
     if (dep && dep.type === 'Module') {
+      this._explain(dep.path, true, `haste module named '${moduleName}'`);
       return Promise(dep);
     }
 
@@ -260,11 +452,18 @@ type.defineMethods({
       if (dep && dep.type === 'Package') {
         break;
       }
+      this._explain(packageName, false, 'no haste module or package with this name');
       packageName = fp.dirname(packageName);
     }
 
     if (dep && dep.type === 'Package') {
-      return Promise.try(() => {
+      this._explain(dep.path, true, `haste package named '${packageName}'`);
+      const subpath = moduleName === packageName ?
+        '.' : './' + fp.relative(packageName, moduleName);
+
+      return this._loadAsExport(dep.root, subpath, moduleName)
+
+      .then(module => module || Promise.try(() => {
         if (moduleName === packageName) {
           return this._loadAsDir(dep.root, moduleName);
         }
@@ -279,13 +478,35 @@ type.defineMethods({
         .fail(error =>
           ignoreResolveErrors(error) &&
           this._loadAsDir(filePath, moduleName));
-      });
+      }));
     }
 
     return Promise.reject(new UnableToResolveError());
   },
 
+  // Resolves relative and absolute paths.
+  _resolvePathModule(requiredPath) {
+    this._explainStrategy('path');
+    if (isModuleName(requiredPath)) {
+      this._explain(requiredPath, false, 'not a relative or absolute path');
+      return Promise.reject(new UnableToResolveError());
+    }
+
+    const filePath = requiredPath[0] === '.' ?
+      this._toAbsolutePath(requiredPath) : requiredPath;
+
+    return Promise.try(() =>
+      this._loadAsFile(filePath, requiredPath))
+
+    .fail(error =>
+      ignoreResolveErrors(error) &&
+      this._loadAsDir(filePath, requiredPath));
+  },
+
+  // Resolves paths with the 'lotus' option. Module names
+  // are resolved relative to 'lotus.path' too.
   _resolveLotusModule(requiredPath) {
+    this._explainStrategy('lotus');
     return this._resolveLotusFile(requiredPath)
     .then(filePath => {
       if (typeof filePath === 'string') {
@@ -297,14 +518,17 @@ type.defineMethods({
   },
 
   _resolveNodeModule(requiredPath) {
+    this._explainStrategy('node');
 
     if (!isModuleName(requiredPath)) {
+      this._explain(requiredPath, false, 'not a module name');
       throw new UnableToResolveError();
     }
 
     // If a module from the Node.js standard library is imported,
     // default to a "null module" unless a polyfill exists.
     if (inArray(NODE_PATHS, requiredPath)) {
+      this._explain(requiredPath, true, 'built-in Node.js module (null module)');
       return this._moduleCache.getNullModule(requiredPath);
     }
 
@@ -314,50 +538,114 @@ type.defineMethods({
 
   _resolveInstalledModule(moduleName) {
     const searchQueue = [];
-    const isNodeModulesDir = /node_modules$/g;
+    const isNodeModulesDir = /node_modules$/;
+
+    const searchParents = (modulePath) => {
+      let dirPath = fp.dirname(modulePath);
+
+      const moduleRoot = path.parse(modulePath).root;
+      while (dirPath !== moduleRoot) {
+        // Never try 'node_modules/node_modules'
+        if (!isNodeModulesDir.test(dirPath)) {
+          searchQueue.push(
+            fp.join(dirPath, 'node_modules', moduleName)
+          );
+        }
+        dirPath = fp.dirname(dirPath);
+      }
+    };
 
-    let dirPath = fp.dirname(this._module.path);
+    searchParents(this._module.path);
 
-    const moduleRoot = path.parse(this._module.path).root;
-    while (dirPath !== moduleRoot) {
-      // Never try 'node_modules/node_modules'
-      if (isNodeModulesDir.test(dirPath)) {
-        continue;
-      }
-      searchQueue.push(
-        fp.join(dirPath, 'node_modules', moduleName)
-      );
-      dirPath = fp.dirname(dirPath);
-    }
+    // A symlinked module can also use the packages installed where it is linked.
+    this._cache.fastfs.getLinkPaths(this._module.path).forEach(searchParents);
 
-    if (this._extraNodeModules) {
-      const parts = moduleName.split('/');
-      const packageName = parts[0];
-      if (this._extraNodeModules[packageName]) {
-        parts[0] = this._extraNodeModules[packageName];
-        searchQueue.push(fp.join.apply(path, parts));
-      }
-    }
+    // The subpath of the package (eg: '/feature' in 'pkg/feature').
+    const packageName = getPackageName(moduleName);
+    const subpath = moduleName.slice(packageName.length);
+
+    this._getExtraPackagePaths(packageName).forEach(packagePath => {
+      searchQueue.push(packagePath + subpath);
+    });
 
     let promise = Promise.reject(new UnableToResolveError());
 
     searchQueue.forEach(filePath =>
 
       promise = promise.fail(error =>
-        ignoreResolveErrors(error) &&
-        this._loadAsFile(filePath, moduleName))
+        ignoreSearchErrors(error) &&
+        this._loadAsExport(
+          subpath ? filePath.slice(0, -subpath.length) : filePath,
+          '.' + subpath,
+          moduleName
+        )
+
+        .then(module => module || Promise.try(() =>
+          this._loadAsFile(filePath, moduleName))
 
-      .fail(error =>
-        ignoreResolveErrors(error) &&
-        this._loadAsDir(filePath, moduleName)));
+        .fail(error =>
+          ignoreResolveErrors(error) &&
+          this._loadAsDir(filePath, moduleName)))));
 
     return promise;
   },
 
+  // Returns the directories that the 'extraNodeModules' option maps a package
+  // to. A package can be mapped by its name (eg: 'foo' or '@scope/foo') to one
+  // directory or an array of fallbacks. A scoped package can also be mapped by
+  // its scope (eg: '@scope'), to directories that contain the scope's packages.
+  _getExtraPackagePaths(packageName) {
+    const extraNodeModules = this._moduleCache._extraNodeModules;
+    if (!extraNodeModules) {
+      return [];
+    }
+
+    const packagePaths = extraNodeModules[packageName];
+    if (packagePaths != null) {
+      return [].concat(packagePaths);
+    }
+
+    if (packageName[0] === '@') {
+      const scope = packageName.split('/')[0];
+      const scopePaths = extraNodeModules[scope];
+      if (scopePaths != null) {
+        const name = packageName.slice(scope.length + 1);
+        return [].concat(scopePaths).map(scopePath => fp.join(scopePath, name));
+      }
+    }
+
+    return [];
+  },
+
+  // Resolves a package subpath with its "exports" field. Resolves with null
+  // when there is no "exports" field, so the caller can resolve the subpath
+  // as a file. Subpaths missing from the "exports" field are never resolved,
+  // and (like Node) no other installed copy of the package is searched.
+  _loadAsExport(packageDir, subpath, toModule) {
+    const pkgPath = fp.join(packageDir, 'package.json');
+    if (!this._fileExists(pkgPath)) {
+      return Promise(null);
+    }
+    const pkg = this._moduleCache.getPackage(pkgPath);
+    return pkg.hasExports().then(hasExports => hasExports ?
+      pkg.resolveExport(subpath, this._cache.exportConditions)
+      .then(filePath => {
+        if (!filePath) {
+          this._explain(pkgPath, false, `'${subpath}' is not in the "exports" field`);
+          const error = new UnableToResolveError();
+          error.isNotExported = true;
+          throw error;
+        }
+        this._explain(filePath, true, `'${subpath}' is in the "exports" field`);
+        return this._loadAsFile(filePath, toModule);
+      }) : null);
+  },
+
   _resolvePackageMain(dirPath) {
     const pkgPath = fp.join(dirPath, 'package.json');
     if (this._fileExists(pkgPath)) {
-      return this._moduleCache.getPackage(pkgPath).getMain();
+      return this._moduleCache.getPackage(pkgPath)
+        .getMain(this._cache.mainFields);
     }
     return Promise(fp.join(dirPath, 'index'));
   },
@@ -377,6 +665,9 @@ type.defineMethods({
   },
 
   _resolveLotusFile: Promise.wrap(function(requiredPath) {
+    const {lotus} = this._moduleCache;
+    const resolve = (filePath) =>
+      this._explainFile(filePath, lotus.resolve(filePath, this._module.path));
 
     // Convert relative paths to absolutes.
     const isRelative = requiredPath[0] === '.';
@@ -395,7 +686,7 @@ type.defineMethods({
         // Try coercing './MyClass' into './MyClass/index'
         const indexPath = this._resolveFile(
           requiredPath + '/index',
-          (filePath) => lotus.resolve(filePath, this._module.path),
+          resolve,
         );
         if (indexPath) {
           return indexPath;
@@ -407,14 +698,14 @@ type.defineMethods({
       .then(mainPath =>
         this._resolveFile(
           mainPath,
-          (filePath) => lotus.resolve(filePath, this._module.path),
+          resolve,
         ));
     }
 
     // Try the module path as-is.
     return this._resolveFile(
       requiredPath,
-      (filePath) => lotus.resolve(filePath, this._module.path),
+      resolve,
     );
   }),
 
@@ -422,13 +713,14 @@ type.defineMethods({
     const result = this._resolveFile(filePath, (filePath) => {
       try {
         if (this._fileExists(filePath)) {
-          return this._moduleCache.getModule(filePath);
+          return this._explainFile(filePath, this._moduleCache.getModule(filePath));
         }
       } catch (error) {
         if (error.code !== 404) {
           throw error;
         }
       }
+      this._explainFile(filePath, null);
     });
     if (result != null) {
       return result;
@@ -438,6 +730,7 @@ type.defineMethods({
 
   _loadAsDir(dirPath, toModule) {
     if (!this._dirExists(dirPath)) {
+      this._explain(dirPath, false, 'directory does not exist');
       throw new UnableToResolveError();
     }
 
@@ -477,6 +770,7 @@ type.defineMethods({
   },
 
   _redirectRequire(requiredPath) {
+    this._explainStrategy('redirect');
     return Promise.try(() => {
       const pkg = this._module.getPackage();
       if (!pkg) {
@@ -484,19 +778,58 @@ type.defineMethods({
       }
       const absPath = this._toAbsolutePath(requiredPath);
       const resolver = this._resolveFile.bind(this);
-      return pkg.redirectRequire(absPath, resolver)
-        .then(redirectedPath =>
-          redirectedPath === absPath ?
-            requiredPath : redirectedPath);
+      return pkg.redirectRequire(absPath, resolver, this._cache.mainFields)
+        .then(redirectedPath => {
+          if (redirectedPath === absPath) {
+            return requiredPath;
+          }
+          this._explain(redirectedPath || absPath, true, (redirectedPath ?
+            'redirected' : 'disabled') +
+            ` by the "browser" or "react-native" field of '${pkg.path}'`);
+          return redirectedPath;
+        });
     })
     .then(requiredPath => {
-      const redirectedPath = this._moduleCache._redirect[requiredPath];
+      let redirectedPath = this._moduleCache._redirect[requiredPath];
+      let reason = 'redirected by the \'redirect\' option';
+
+      // Exact redirects take precedence over alias rules.
+      if (redirectedPath == null) {
+        redirectedPath = this._moduleCache.getAlias(requiredPath);
+        reason = 'aliased by the \'aliases\' option';
+      }
       if (redirectedPath === false) {
         return null;
       }
+      if (redirectedPath) {
+        this._explain(redirectedPath, true, reason);
+      }
       return redirectedPath || requiredPath;
     });
   },
+
+  _explainStrategy(strategy) {
+    if (this._trace) {
+      this._traceStrategy = strategy;
+    }
+  },
+
+  _explain(candidatePath, accepted, reason) {
+    if (this._trace) {
+      this._trace.push({
+        strategy: this._traceStrategy,
+        path: candidatePath,
+        accepted,
+        reason,
+      });
+    }
+  },
+
+  _explainFile(filePath, result) {
+    this._explain(filePath, result != null,
+      result != null ? 'file exists' : 'file does not exist');
+    return result;
+  },
 })
 
 module.exports = type.build()
@@ -517,6 +850,15 @@ function ignoreResolveErrors(error) {
  return true;
 }
 
+// Like 'ignoreResolveErrors', but a package that does not export
+// the subpath ends the search (see '_loadAsExport').
+function ignoreSearchErrors(error) {
+ if (error.isNotExported) {
+   throw error;
+ }
+ return ignoreResolveErrors(error);
+}
+
 function normalizePath(modulePath) {
  if (fp.sep === '/') {
    modulePath = fp.normalize(modulePath);
@@ -19,26 +19,38 @@ const fromArgs = require('fromArgs');
 
 const AssetMap = require('./AssetMap');
 const AsyncTaskGroup = require('./utils/AsyncTaskGroup');
+const CancelledError = require('./utils/CancelledError');
 const Fastfs = require('./fastfs');
 const HasteMap = require('./HasteMap');
+const TaskQueue = require('./utils/TaskQueue');
+const dropStaleEdges = require('./utils/dropStaleEdges');
+const findStronglyConnected = require('./utils/findStronglyConnected');
+const getModuleType = require('./utils/getModuleType');
 const Resolution = LazyVar(() => require('./Resolution'));
 
 const type = Type('ResolutionCache')
 
 type.defineOptions({
   platform: String,
+  platforms: Array,
   preferNativePlatform: Boolean,
   transformOptions: Object.Maybe,
   extensions: Array,
   assetMap: AssetMap,
   hasteMap: HasteMap,
   fastfs: Fastfs,
+  restoredEdges: Object.Maybe,
+  maxConcurrentResolutions: Number.withDefault(1),
+  exportConditions: Array,
+  mainFields: Array,
 })
 
 type.defineValues({
 
   platform: fromArgs('platform'),
 
+  platforms: fromArgs('platforms'),
+
   preferNativePlatform: fromArgs('preferNativePlatform'),
 
   transformOptions: fromArgs('transformOptions'),
@@ -51,6 +63,21 @@ type.defineValues({
 
   fastfs: fromArgs('fastfs'),
 
+  // The conditions used by the "exports" field of a 'package.json'.
+  exportConditions: (opts) => opts.exportConditions || [],
+
+  // The 'package.json' fields used to find the main module (see 'Package.getMain').
+  mainFields: fromArgs('mainFields'),
+
+  // When greater than 1, sibling requires are resolved in parallel.
+  maxConcurrentResolutions: fromArgs('maxConcurrentResolutions'),
+
+  // Limits how many requires are resolved at once (in parallel mode).
+  resolveQueue: (opts) => new TaskQueue(opts.maxConcurrentResolutions),
+
+  // The edges persisted by a previous process (see GraphCache).
+  _restoredEdges: (opts) => opts.restoredEdges || Object.create(null),
+
   // Emits whenever a Resolution is created.
   didCreate: () => Event(),
 
@@ -69,6 +96,9 @@ type.defineValues({
   // Holds the Resolutions that need reloading.
   _dirty: () => new Set(),
 
+  // Holds the Resolutions whose recursion was cancelled.
+  _incomplete: () => new Set(),
+
   // When '_resolving' is not empty, this holds a Promise
   // that is resolved when '_resolving' is empty once again.
   _allResolved: null,
@@ -80,15 +110,48 @@ type.defineMethods({
     assertTypes(options, {
       onError: Function.Maybe,
       onProgress: Function.Maybe,
+      signal: Object.Maybe,
     })
-    this._flushDirty(options);
-    return Promise(this._allResolved);
+    if (options.signal && options.signal.aborted) {
+      return Promise.reject(new CancelledError());
+    }
+    return this._flushDirty(options)
+    .then(() => this._allResolved)
+    .then(() => {
+      // Resume any resolutions cancelled while we waited.
+      if (this._incomplete.size) {
+        return this.allResolved(options);
+      }
+    });
   },
 
   hasResolution(module) {
     return this._resolutions.has(module);
   },
 
+  getModules() {
+    return Array.from(this._resolutions.keys());
+  },
+
+  // Returns the module with the given path, if it has a Resolution.
+  findModule(modulePath) {
+    for (const module of this._resolutions.keys()) {
+      if (module.path === modulePath) {
+        return module;
+      }
+    }
+    return null;
+  },
+
+  // Returns the Resolutions with requires that failed to resolve.
+  getUnresolved() {
+    const results = [];
+    this._resolutions.forEach(resolution => {
+      resolution.hasUnresolvedRequires() && results.push(resolution);
+    });
+    return results;
+  },
+
   getResolution(module) {
     let resolution = this._resolutions.get(module);
     if (!resolution) {
@@ -105,6 +168,7 @@ type.defineMethods({
       this._resolutions.delete(module);
       this._dependers.delete(module);
       this._dirty.delete(resolution);
+      this._incomplete.delete(resolution);
       this.didDelete.emit(module, resolution);
     }
   },
@@ -114,6 +178,13 @@ type.defineMethods({
     this._dirty.add(resolution);
   },
 
+  // The dependencies of incomplete resolutions are
+  // resolved by the next call to 'allResolved()'.
+  markIncomplete(resolution) {
+    assertType(resolution, Resolution.get());
+    this._incomplete.add(resolution);
+  },
+
   markResolving(resolution) {
     assertType(resolution, Resolution.get());
     if (!this._resolving.has(resolution)) {
@@ -174,35 +245,230 @@ type.defineMethods({
     });
   },
 
-  // gatherInverseDependencies(module) {
-  //   return Promise(this._allResolved).then(() => {
-  //     if (module) {
-  //       return this._dependers[module.path] || new Set();
-  //     } else {
-  //       const dependers = new Map();
-  //       this._dependers.forEach((dependers, modulePath) => {
-  //         const module =
-  //         dependers.set(dependency, dependers);
-  //       });
-  //       return dependers;
-  //     }
-  //   });
-  // },
-
-  _flushDirty({onProgress, onError}) {
-    if (!this._dirty.size) {
-      return;
+  // Returns the '[path, type]' pair that a require string was resolved to
+  // by a previous process. Each restored edge can only be used once.
+  takeRestoredEdge(module, requiredPath) {
+    const edges = this._restoredEdges[module.path];
+    if (edges && edges[requiredPath]) {
+      const edge = edges[requiredPath];
+      delete edges[requiredPath];
+      return edge;
     }
-    this._dirty.forEach(resolution => {
+  },
+
+  clearRestoredEdges() {
+    this._restoredEdges = Object.create(null);
+  },
+
+  // Forgets the restored edges of the given paths, and of their dependers.
+  dropRestoredEdges(stalePaths) {
+    this._restoredEdges = dropStaleEdges(this._restoredEdges, stalePaths);
+  },
+
+  // Returns the resolved edges of every module, for use with 'restoredEdges'.
+  serializeEdges() {
+    const modulesByPath = Object.create(null);
+    this._resolutions.forEach((resolution, module) => {
+      modulesByPath[module.path] = module;
+    });
+
+    const json = Object.create(null);
+    this._resolutions.forEach((resolution, module) => {
+      const edges = Object.create(null);
+      resolution.getResolvedRequires().forEach(({requiredPath, path}) => {
+        const dependency = modulesByPath[path];
+        if (dependency) {
+          edges[requiredPath] = [path, getModuleType(dependency)];
+        }
+      });
+      json[module.path] = edges;
+    });
+    return json;
+  },
+
+  // Returns every module reachable from the given module (including itself).
+  gatherDependencies(module) {
+    return Promise(this._allResolved).then(() => {
+      const modulesByPath = Object.create(null);
+      this._resolutions.forEach((resolution, module) => {
+        modulesByPath[module.path] = module;
+      });
+
+      const result = new Set([module]);
+      const queue = [module];
+      while (queue.length) {
+        const resolution = this._resolutions.get(queue.shift());
+        resolution && resolution.getResolvedRequires().forEach(({path}) => {
+          const dependency = modulesByPath[path];
+          if (dependency && !result.has(dependency)) {
+            result.add(dependency);
+            queue.push(dependency);
+          }
+        });
+      }
+      return result;
+    });
+  },
+
+  // Returns the resolved modules in depth-first order (following the
+  // order of each module's requires), starting from the given modules.
+  // This is the order that sequential resolution creates them in.
+  getPreorder(roots) {
+    const modulesByPath = Object.create(null);
+    this._resolutions.forEach((resolution, module) => {
+      modulesByPath[module.path] = module;
+    });
+
+    const result = [];
+    const visited = new Set();
+    // Deleted roots are left out.
+    const stack = roots
+      .filter(root => this._resolutions.has(root))
+      .reverse();
+    while (stack.length) {
+      const module = stack.pop();
+      if (visited.has(module)) {
+        continue;
+      }
+      visited.add(module);
+      result.push(module);
+
+      const resolution = this._resolutions.get(module);
+      if (resolution) {
+        const dependencies = resolution.getResolvedRequires()
+          .map(({path}) => modulesByPath[path])
+          .filter(Boolean);
+
+        for (let i = dependencies.length - 1; i >= 0; i--) {
+          visited.has(dependencies[i]) || stack.push(dependencies[i]);
+        }
+      }
+    }
+    return result;
+  },
+
+  gatherInverseDependencies(module, transitive = false) {
+    return Promise(this._allResolved).then(() => {
+      const result = new Set();
+      const queue = [module];
+      while (queue.length) {
+        const dependers = this._dependers.get(queue.shift());
+        dependers && dependers.forEach(depender => {
+          if (result.has(depender)) {
+            return;
+          }
+          result.add(depender);
+          transitive && queue.push(depender);
+        });
+      }
+      return result;
+    });
+  },
+
+  // Returns the closest module (using breadth-first search) that depends
+  // on the given module, and passes the given test. Returns null if none do.
+  findClosestDepender(module, test) {
+    return Promise(this._allResolved).then(() => {
+      const visited = new Set([module]);
+      const queue = [module];
+      while (queue.length) {
+        const dependers = this._dependers.get(queue.shift());
+        if (!dependers) {
+          continue;
+        }
+        for (const depender of dependers) {
+          if (visited.has(depender)) {
+            continue;
+          }
+          if (test(depender)) {
+            return depender;
+          }
+          visited.add(depender);
+          queue.push(depender);
+        }
+      }
+      return null;
+    });
+  },
+
+  // Returns every cycle of requires between the resolved modules.
+  // Each cycle has its modules and the edges (with require strings) between them.
+  findCycles() {
+    return Promise(this._allResolved).then(() => {
+      const modules = [];
+      const modulesByPath = Object.create(null);
+      this._resolutions.forEach((resolution, module) => {
+        modules.push(module);
+        modulesByPath[module.path] = module;
+      });
+
+      const getEdges = (module) =>
+        this._resolutions.get(module)
+          .getResolvedRequires()
+          .filter(edge => modulesByPath[edge.path] != null);
+
+      return findStronglyConnected(
+        modules,
+        (module) => getEdges(module).map(edge => modulesByPath[edge.path])
+      )
+      .map(component => {
+        const members = new Set(component);
+        const edges = [];
+        component.forEach(module => {
+          getEdges(module).forEach(edge => {
+            if (members.has(modulesByPath[edge.path])) {
+              edges.push({
+                from: module.path,
+                to: edge.path,
+                requiredPath: edge.requiredPath,
+                async: edge.async,
+              });
+            }
+          });
+        });
+        return {
+          modules: component.map(module => module.path),
+          edges,
+        };
+      })
+      // Single modules only form a cycle when they require themselves.
+      .filter(cycle => cycle.edges.length > 0);
+    });
+  },
+
+  _flushDirty({onProgress, onError, signal}) {
+    const dirty = Array.from(this._dirty);
+    const incomplete = Array.from(this._incomplete);
+    this._dirty.clear();
+    this._incomplete.clear();
+
+    const reload = (recursive) => (resolution) =>
       resolution.reloadRequires({
         force: true,
-        recursive: false,
+        recursive,
         onProgress,
         onError,
-      });
-    });
-    this._dirty.clear();
+        signal,
+      })
+      .fail(ignoreCancelled);
+
+    // Any other error is thrown by 'allResolved()'.
+    return Promise.map(
+      dirty.map(reload(false))
+        .concat(incomplete.map(reload(true)))
+    );
   },
 })
 
 module.exports = type.build()
+
+//
+// Helpers
+//
+
+// Cancelled resolutions are retried by the next 'allResolved()'.
+function ignoreCancelled(error) {
+  if (error.type !== 'CancelledError') {
+    throw error;
+  }
+}
@@ -10,16 +10,27 @@
 
 const assert = require('assert');
 const fromArgs = require('fromArgs');
+const Promise = require('Promise');
 const Type = require('Type');
 
 const AsyncTaskGroup = require('./utils/AsyncTaskGroup');
 const Resolution = require('./Resolution');
 const ResolutionCache = require('./ResolutionCache');
+const getModuleType = require('./utils/getModuleType');
+const getPlatformExtension = require('./utils/getPlatformExtension');
+const graphToDOT = require('./utils/graphToDOT');
+
+// The number of revisions that 'getDelta()' can compare with.
+const MAX_SNAPSHOTS = 5;
+
+// Prefixes the revision tokens of each response (see 'getDelta').
+let nextResponseId = 1;
 
 const type = Type('ResolutionResponse')
 
 type.defineOptions({
   cache: ResolutionCache,
+  trackChanges: Boolean.withDefault(true),
 })
 
 type.defineValues({
@@ -30,51 +41,103 @@ type.defineValues({
 
   numPrependedDependencies: 0,
 
+  // The entry modules of a multi-entry response.
+  entryModules: null,
+
+  // The modules needed by every entry module.
+  sharedDependencies: null,
+
+  // The modules needed by only one entry module (keyed by its path).
+  uniqueDependencies: null,
+
   _mainModule: null,
 
+  _id: () => nextResponseId++,
+
   _cache: fromArgs('cache'),
+
+  _listeners: null,
+
+  // The dependency paths at each revision returned by 'getDelta()'.
+  _snapshots: () => new Map(),
 })
 
-// TODO: Stop these listeners when this
-//       ResolutionResponse is no longer in use.
-type.initInstance(function() {
+// These listeners are stopped by 'release()'.
+type.initInstance(function(opts) {
+  if (!opts.trackChanges) {
+    return;
+  }
+
+  this._listeners = [
 
-  this._cache
-    .didCreate(module => this._addDependency(module))
-    .start();
+    this._cache
+      .didCreate(module => this._addDependency(module))
+      .start(),
 
-  this._cache
-    .didDelete(module => this._removeDependency(module))
-    .start();
+    this._cache
+      .didDelete(module => this._removeDependency(module))
+      .start(),
+  ];
+})
+
+type.defineGetters({
+
+  platform() {
+    return this._cache.platform;
+  },
 })
 
 type.defineMethods({
 
+  // Copies are snapshots, so they never track changes (or need releasing).
   copy({
     dependencies = this.dependencies,
     numPrependedDependencies = 0,
   }) {
     if (dependencies === this.dependencies) {
+      dependencies = dependencies.slice();
       numPrependedDependencies = this.numPrependedDependencies;
     }
 
-    const copy = this.constructor({cache: this._cache});
+    const copy = this.constructor({
+      cache: this._cache,
+      trackChanges: false,
+    });
     return Object.assign(copy, {
       dependencies,
       numPrependedDependencies,
       mainModuleId: this.mainModuleId,
+      entryModules: this.entryModules,
+      sharedDependencies: this.sharedDependencies,
+      uniqueDependencies: this.uniqueDependencies,
       _mainModule: this._mainModule,
     });
   },
 
+  // Stops tracking changes to the dependencies of this response.
+  release() {
+    if (this._listeners) {
+      this._listeners.forEach(listener => listener.stop());
+      this._listeners = null;
+    }
+  },
+
   hasResolution(module) {
     return this._cache.hasResolution(module);
   },
 
+  findModule(modulePath) {
+    return this._cache.findModule(modulePath);
+  },
+
   getResolution(module) {
     return this._cache.getResolution(module);
   },
 
+  getUnresolved() {
+    return this._cache.getUnresolved();
+  },
+
   deleteResolution(module) {
     this._cache.deleteResolution(module);
   },
@@ -83,17 +146,195 @@ type.defineMethods({
     return this._cache.allResolved(options)
     .then(() => {
       assert(this._mainModule, 'Must have at least one dependency!');
-      return this._mainModule
-        .getName()
+
+      // Parallel resolution creates modules out of order, so they are
+      // sorted like sequential resolution would create them. Sequential
+      // responses are never sorted, so incremental updates keep their order.
+      if (this._cache.maxConcurrentResolutions > 1) {
+        this._sortDependencies();
+      }
+
+      // A deleted main module keeps its last name.
+      const naming = this._cache.hasResolution(this._mainModule) ?
+        this._mainModule.getName(this._cache.mainFields) : this.mainModuleId;
+
+      return Promise(naming)
         .then(name => {
           this.mainModuleId = name;
-          return this;
+          return this._groupByEntry();
+        })
+        .then(() => this);
+    });
+  },
+
+  // Waits for every pending resolution, without updating 'mainModuleId'.
+  settle(options) {
+    return this._cache.allResolved(options);
+  },
+
+  /**
+   * Compares the dependencies with the snapshot of the 'since' token, then
+   * takes a snapshot for the given 'revision' and returns its token. Modules
+   * are 'changed' when 'getFileRevision(path)' is newer than the snapshot.
+   * When no snapshot exists for 'since', every module is 'added' and 'reset'
+   * is true. Throws if 'since' was not returned by this response.
+   */
+  getDelta({since, revision, getFileRevision}) {
+    const sinceRevision = since != null ? this._parseToken(since) : null;
+    const previous = sinceRevision !== null ?
+      this._snapshots.get(sinceRevision) : null;
+    const token = this._id + ':' + revision;
+
+    const dependencies = this.dependencies || [];
+    const current = new Map();
+    dependencies.forEach(module => current.set(module.path, module));
+
+    this._snapshots.delete(revision);
+    this._snapshots.set(revision, current);
+    if (this._snapshots.size > MAX_SNAPSHOTS) {
+      this._snapshots.delete(this._snapshots.keys().next().value);
+    }
+
+    if (!previous) {
+      return {
+        revision: token,
+        reset: true,
+        added: dependencies.slice(),
+        removed: [],
+        changed: [],
+      };
+    }
+
+    const added = [];
+    const changed = [];
+    current.forEach((module, path) => {
+      if (!previous.has(path)) {
+        added.push(module);
+      } else if (getFileRevision(path) > sinceRevision) {
+        changed.push(module);
+      }
+    });
+
+    const removed = [];
+    previous.forEach((module, path) => {
+      current.has(path) || removed.push(module);
+    });
+
+    return {revision: token, reset: false, added, removed, changed};
+  },
+
+  // Returns the revision of the oldest snapshot (see 'getDelta'), or null.
+  getOldestSnapshot() {
+    let oldest = null;
+    this._snapshots.forEach((_, revision) => {
+      if (oldest === null || revision < oldest) {
+        oldest = revision;
+      }
+    });
+    return oldest;
+  },
+
+  gatherInverseDependencies(module, transitive) {
+    return this._cache.gatherInverseDependencies(module, transitive);
+  },
+
+  findClosestDepender(module, test) {
+    return this._cache.findClosestDepender(module, test);
+  },
+
+  clearRestoredEdges() {
+    this._cache.clearRestoredEdges();
+  },
+
+  dropRestoredEdges(stalePaths) {
+    this._cache.dropRestoredEdges(stalePaths);
+  },
+
+  serializeEdges() {
+    return this._cache.serializeEdges();
+  },
+
+  findCycles() {
+    return this._cache.findCycles();
+  },
+
+  // Returns a JSON-friendly graph of every resolved module (nodes)
+  // and the require strings between them (edges). Nodes are sorted
+  // by path, and edges keep the order of their requires. Edges loaded
+  // on demand (eg: using `import()`) are marked async.
+  serialize() {
+    return this._cache.allResolved().then(() => {
+      const {platform, platforms, mainFields} = this._cache;
+      const modules = this._cache.getModules()
+        .sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+      return Promise.map(modules, (module) =>
+        module.isHaste(mainFields)
+        .then(isHaste => isHaste ? module.getName(mainFields) : null)
+        .then(name => ({
+          path: module.path,
+          name,
+          type: getModuleType(module),
+          platform: getPlatformExtension(module.path, platforms),
+        })))
+      .then(nodes => {
+        const edges = [];
+        modules.forEach(module => {
+          this._cache.getResolution(module)
+            .getResolvedRequires()
+            .forEach(({requiredPath, path, async}) => {
+              edges.push({from: module.path, to: path, requiredPath, async});
+            });
         });
+        return {
+          entry: this._mainModule ? this._mainModule.path : null,
+          platform,
+          nodes,
+          edges,
+        };
+      });
+    });
+  },
+
+  // Returns the serialized graph in the Graphviz DOT format.
+  toDOT() {
+    return this.serialize().then(graphToDOT);
+  },
+
+  _groupByEntry() {
+    const entries = this.entryModules;
+    if (!entries || !this.dependencies) {
+      return;
+    }
+    return Promise.map(entries, (entry) =>
+      this._cache.gatherDependencies(entry))
+    .then(reachables => {
+      const counts = new Map();
+      reachables.forEach(reachable => reachable.forEach(module => {
+        counts.set(module, (counts.get(module) || 0) + 1);
+      }));
+
+      this.sharedDependencies = this.dependencies.filter(module =>
+        counts.get(module) === entries.length);
+
+      this.uniqueDependencies = Object.create(null);
+      entries.forEach((entry, index) => {
+        this.uniqueDependencies[entry.path] = this.dependencies.filter(module =>
+          counts.get(module) === 1 && reachables[index].has(module));
+      });
     });
   },
 
-  gatherInverseDependencies(module) {
-    return this._cache.gatherInverseDependencies(module);
+  // Every module comes after its first depender (in require order).
+  _sortDependencies() {
+    if (!this.dependencies) {
+      return;
+    }
+    const sorted = this._cache.getPreorder(this.entryModules || [this._mainModule]);
+    const visited = new Set(sorted);
+    this.dependencies = sorted.concat(
+      this.dependencies.filter(module => !visited.has(module))
+    );
   },
 
   _addDependency(module) {
@@ -119,6 +360,15 @@ type.defineMethods({
       this.dependencies.splice(index, 1);
     }
   },
+
+  // Returns the revision of a token returned by 'getDelta'.
+  _parseToken(token) {
+    const match = /^(\d+):(\d+)$/.exec(token);
+    if (!match || Number(match[1]) !== this._id) {
+      throw Error(`Revision '${token}' was not returned by this response!`);
+    }
+    return Number(match[2]);
+  },
 })
 
 module.exports = type.build()
@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.autoMockOff();
+jest.useRealTimers();
+
+const Promise = require('Promise');
+const TransformWorkerPool = require('../');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('TransformWorkerPool', () => {
+  const module = {path: '/root/index.js'};
+  let nextModuleId = 1;
+  let transformModulePath;
+  let pool;
+
+  beforeEach(() => {
+    transformModulePath = writeTransformModule([
+      'module.exports = function(filePath, source, transformOptions) {',
+      '  if (source === "crash") {',
+      '    process.exit(1);',
+      '  }',
+      '  return {code: source.toUpperCase(), filePath, transformOptions};',
+      '};',
+    ]);
+    pool = TransformWorkerPool({transformModulePath, maxWorkers: 1});
+  });
+
+  afterEach(() => {
+    pool.end();
+    fs.unlinkSync(transformModulePath);
+  });
+
+  // Writes a transform module that only this test run uses.
+  function writeTransformModule(lines) {
+    const filePath = path.join(os.tmpdir(),
+      `TransformWorkerPool-${process.pid}-${nextModuleId++}.js`);
+    fs.writeFileSync(filePath, lines.join('\n'));
+    return filePath;
+  }
+
+  // Resolves with the error of a transform that must fail.
+  function expectFailure(promise) {
+    let error = null;
+    return promise
+      .fail(e => { error = e; })
+      .then(() => {
+        expect(error).not.toBe(null);
+        return error;
+      });
+  }
+
+  pit('resolves with the same result as an in-process transform', () => {
+    const transform = require(transformModulePath);
+    const transformOptions = {dev: true};
+    return pool.transformCode(module, 'require("a")', transformOptions)
+      .then(result => {
+        expect(result).toEqual(
+          transform(module.path, 'require("a")', transformOptions));
+      });
+  });
+
+  pit('replaces a worker that crashed', () => {
+    return expectFailure(pool.transformCode(module, 'crash'))
+      .then(error => {
+        expect(error.message).toBe('Transform worker exited early (1)');
+        return pool.transformCode(module, 'code');
+      })
+      .then(result => {
+        expect(result.code).toBe('CODE');
+      });
+  });
+
+  pit('stops starting workers that keep crashing', () => {
+    pool.end();
+    fs.unlinkSync(transformModulePath);
+    transformModulePath = writeTransformModule([
+      'throw Error("Cannot load the transform");',
+    ]);
+    pool = TransformWorkerPool({transformModulePath, maxWorkers: 1});
+
+    const transform = () => expectFailure(pool.transformCode(module, 'code'));
+    return transform()
+      .then(transform)
+      .then(transform)
+      .then(transform)
+      .then(error => {
+        expect(error.message)
+          .toMatch(/^Transform workers crashed 3 times in a row/);
+        expect(pool._workers).toEqual([]);
+      });
+  });
+
+  pit('stops its workers once ended', () => {
+    return pool.transformCode(module, 'code')
+      .then(() => {
+        const worker = pool._workers[0].process;
+        const exited = Promise.defer(resolve => worker.once('exit', resolve));
+        pool.end();
+        return exited;
+      })
+      .then(() => expectFailure(pool.transformCode(module, 'code')))
+      .then(error => {
+        expect(error.message).toBe('Cannot transform after \'end()\' was called!');
+        expect(pool._workers).toEqual([]);
+      });
+  });
+});
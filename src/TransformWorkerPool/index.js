@@ -0,0 +1,189 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const {fork} = require('child_process');
+
+const Promise = require('Promise');
+const Type = require('Type');
+const os = require('os');
+
+const fp = require('../fastpath');
+
+const WORKER_PATH = require.resolve('./worker');
+
+// Stop starting workers once this many crash in a row
+// (eg: when the transform module throws while loading).
+const MAX_CRASHES = 3;
+
+const type = Type('TransformWorkerPool')
+
+type.defineOptions({
+  transformModulePath: String.isRequired,
+  maxWorkers: Number,
+})
+
+type.defineValues({
+
+  // This module must export a `(filePath, source, transformOptions)` function
+  // that returns (or resolves with) the same result as 'transformCode'.
+  _transformModulePath: (opts) => fp.resolve(opts.transformModulePath),
+
+  _maxWorkers: (opts) => opts.maxWorkers || Math.max(1, os.cpus().length - 1),
+
+  _workers: () => [],
+
+  // The pending transforms (keyed by id).
+  _jobs: () => new Map(),
+
+  _nextJobId: 1,
+
+  // The workers that crashed since a worker last answered.
+  _crashes: 0,
+
+  // Rejects every transform once 'MAX_CRASHES' is reached.
+  _crashError: null,
+
+  _ended: false,
+})
+
+type.defineMethods({
+
+  // Has the same signature as the 'transformCode' option of DependencyGraph.
+  transformCode(module, source, transformOptions) {
+    if (this._ended) {
+      return Promise.reject(Error('Cannot transform after \'end()\' was called!'));
+    }
+    if (this._crashError) {
+      return Promise.reject(this._crashError);
+    }
+
+    const worker = this._getWorker();
+    const deferred = Promise.defer();
+    const id = this._nextJobId++;
+    this._jobs.set(id, {worker, deferred});
+
+    worker.pending += 1;
+    worker.process.send({
+      id,
+      filePath: module.path,
+      source,
+      transformOptions,
+    }, (error) => {
+      error && this._onError(worker, error);
+    });
+
+    return deferred.promise;
+  },
+
+  // Stops every worker. Pending (and future) transforms are rejected.
+  end() {
+    this._ended = true;
+    const workers = this._workers;
+    this._workers = [];
+    workers.forEach(worker => worker.process.kill());
+  },
+
+  // Prefers an idle worker, then a new worker, then the least busy worker.
+  _getWorker() {
+    let worker = null;
+    this._workers.forEach(other => {
+      if (!worker || other.pending < worker.pending) {
+        worker = other;
+      }
+    });
+    if ((!worker || worker.pending > 0) && this._workers.length < this._maxWorkers) {
+      worker = this._startWorker();
+    }
+    return worker;
+  },
+
+  _startWorker() {
+    const worker = {
+      process: fork(WORKER_PATH, [this._transformModulePath]),
+      pending: 0,
+    };
+    worker.process.on('message', (message) =>
+      this._onMessage(worker, message));
+    worker.process.on('exit', (code, signal) =>
+      this._onExit(worker, code, signal));
+    worker.process.on('error', (error) =>
+      this._onError(worker, error));
+    this._workers.push(worker);
+    return worker;
+  },
+
+  _onMessage(worker, {id, result, error}) {
+    const job = this._jobs.get(id);
+    if (!job) {
+      return;
+    }
+    this._jobs.delete(id);
+    worker.pending -= 1;
+    this._crashes = 0;
+
+    if (error) {
+      job.deferred.reject(createError(error));
+    } else {
+      job.deferred.resolve(result);
+    }
+  },
+
+  _onExit(worker, code, signal) {
+    this._removeWorker(worker,
+      Error(`Transform worker exited early (${signal || code})`));
+  },
+
+  // The worker failed to spawn, or its IPC channel broke.
+  _onError(worker, error) {
+    if (this._removeWorker(worker, error)) {
+      worker.process.kill();
+    }
+  },
+
+  // Rejects the pending transforms of a worker. The next transform
+  // starts a new worker (if needed), unless 'MAX_CRASHES' was reached.
+  // Returns false if already removed.
+  _removeWorker(worker, error) {
+    const index = this._workers.indexOf(worker);
+    if (index !== -1) {
+      this._workers.splice(index, 1);
+      this._crashes += 1;
+      if (this._crashes >= MAX_CRASHES) {
+        this._crashError = Error(
+          `Transform workers crashed ${this._crashes} times in a row ` +
+          `(last error: ${error.message})`
+        );
+      }
+    }
+    this._jobs.forEach((job, id) => {
+      if (job.worker === worker) {
+        this._jobs.delete(id);
+        job.deferred.reject(error);
+      }
+    });
+    return index !== -1;
+  },
+})
+
+module.exports = type.build()
+
+//
+// Helpers
+//
+
+// Recreates an error thrown by a worker.
+function createError({message, stack, type}) {
+  const error = Error(message);
+  error.stack = stack;
+  if (type != null) {
+    error.type = type;
+  }
+  return error;
+}
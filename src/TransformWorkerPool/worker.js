@@ -0,0 +1,27 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const Promise = require('Promise');
+
+// The module given by 'transformModulePath'.
+const transform = require(process.argv[2]);
+
+process.on('message', ({id, filePath, source, transformOptions}) => {
+  Promise.try(() => transform(filePath, source, transformOptions))
+  .then(result => process.send({id, result}))
+  .fail(error => process.send({
+    id,
+    error: {
+      message: error.message,
+      stack: error.stack,
+      type: error.type,
+    },
+  }));
+});
@@ -120,6 +120,18 @@ fs.statSync.mockImpl((filepath) => {
   };
 });
 
+fs.lstat.mockImpl((filepath, callback) => {
+  callback = asyncCallback(callback);
+  let result;
+  try {
+    result = fs.lstatSync(filepath);
+  } catch (e) {
+    callback(e);
+    return;
+  }
+  callback(null, result);
+});
+
 fs.lstatSync.mockImpl((filepath) => {
   const node = getToNode(filepath);
 
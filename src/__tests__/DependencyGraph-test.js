@@ -48,12 +48,31 @@ describe('DependencyGraph', function() {
     ));
   }
 
+  function createGraph(options) {
+    return new DependencyGraph({
+      ...defaults,
+      projectRoots: ['/root'],
+      projectExts: ['js'],
+      ...options,
+    });
+  }
+
+  function getPaths(modules) {
+    return modules.map(module => module.path);
+  }
+
+  function getDependencyPaths(dgraph, options) {
+    return dgraph.getDependencies({entryFile: '/root/index.js', ...options})
+      .then(response => getPaths(response.dependencies));
+  }
+
   beforeEach(function() {
     const fileWatcher = {
       on: function() {
         return this;
       },
       isWatchman: () => Promise(false),
+      watch: () => Promise(),
     };
 
     const Cache = jest.genMockFn().mockImplementation(function() {
@@ -1410,7 +1429,7 @@ describe('DependencyGraph', function() {
             },
             {
               id: 'aPackage/subdir/lolynot.js',
-              path: '/root/aPackage/subdir/lolynot.js',
+              path: '/symlinkedPackage/subdir/lolynot.js',
               dependencies: [],
               isAsset: false,
               isAsset_DEPRECATED: false,
@@ -5592,6 +5611,323 @@ describe('DependencyGraph', function() {
         return getOrderedDependenciesAsJSON(dgraph, '/root/index.js');
       });
     });
+
+    describe('dependency order', () => {
+      let filesystem;
+
+      beforeEach(() => {
+        filesystem = fs.__setMockFilesystem({
+          'root': {
+            'index.js': 'require("./a");\nrequire("./b");',
+            'a.js': 'require("./c");',
+            'b.js': 'require("./d");',
+            'c.js': '',
+            'd.js': 'require("./c");',
+            'e.js': '',
+          },
+        });
+      });
+
+      // Makes 'a.js' require a new module before an existing one.
+      function changeRequires(dgraph) {
+        return getDependencyPaths(dgraph).then(() => {
+          filesystem.root['a.js'] = 'require("./e");\nrequire("./c");';
+          triggerFileChange('change', 'a.js', '/root', mockStat);
+          return getDependencyPaths(dgraph);
+        });
+      }
+
+      pit('orders dependencies the same way with or without parallel mode', () => {
+        const graphs = [
+          createGraph(),
+          createGraph({maxConcurrentResolutions: 4}),
+        ];
+        return Promise.map(graphs, dgraph => getDependencyPaths(dgraph))
+          .then(([sequential, parallel]) => {
+            expect(sequential).toEqual([
+              '/root/index.js',
+              '/root/a.js',
+              '/root/c.js',
+              '/root/b.js',
+              '/root/d.js',
+            ]);
+            expect(parallel).toEqual(sequential);
+          });
+      });
+
+      pit('keeps the order of sequential dependencies after a file change', () => {
+        return changeRequires(createGraph()).then(paths => {
+          expect(paths).toEqual([
+            '/root/index.js',
+            '/root/a.js',
+            '/root/c.js',
+            '/root/b.js',
+            '/root/d.js',
+            '/root/e.js',
+          ]);
+        });
+      });
+
+      pit('sorts parallel dependencies again after a file change', () => {
+        return changeRequires(createGraph({maxConcurrentResolutions: 4})).then(paths => {
+          expect(paths).toEqual([
+            '/root/index.js',
+            '/root/a.js',
+            '/root/e.js',
+            '/root/c.js',
+            '/root/b.js',
+            '/root/d.js',
+          ]);
+        });
+      });
+    });
+
+    describe('change events', () => {
+      let dgraph, filesystem, reporter;
+
+      beforeEach(() => {
+        reporter = {update: jest.genMockFn()};
+        filesystem = fs.__setMockFilesystem({
+          'root': {
+            'index.js': 'require("./a");',
+            'a.js': '',
+            'b.js': '',
+          },
+        });
+        dgraph = createGraph({
+          transformCode: (module, code) => /throw/.test(code) ?
+            Promise.reject(Error('Failed to transform: ' + module.path)) :
+            Promise({code}),
+          reporter,
+        });
+      });
+
+      function nextChange() {
+        return Promise.defer(resolve => dgraph.once('change', resolve));
+      }
+
+      function getChanges({responses}) {
+        return responses.map(({entryFile, added, removed}) =>
+          ({entryFile, added, removed}));
+      }
+
+      pit('reports the modules added by a change', () => {
+        return dgraph.getDependencies({entryFile: '/root/index.js'}).then(() => {
+          const changed = nextChange();
+          filesystem.root['index.js'] = 'require("./a");\nrequire("./b");';
+          triggerFileChange('change', 'index.js', '/root', mockStat);
+          return changed;
+        }).then(event => {
+          expect(event.type).toBe('change');
+          expect(event.filePath).toBe('/root/index.js');
+          expect(getChanges(event)).toEqual([
+            {entryFile: '/root/index.js', added: ['/root/b.js'], removed: []},
+          ]);
+        });
+      });
+
+      pit('reports the modules removed by a delete', () => {
+        return dgraph.getDependencies({entryFile: '/root/index.js'}).then(() => {
+          const changed = nextChange();
+          delete filesystem.root['a.js'];
+          triggerFileChange('delete', 'a.js', '/root');
+          return changed;
+        }).then(event => {
+          expect(event.type).toBe('delete');
+          expect(getChanges(event)).toEqual([
+            {entryFile: '/root/index.js', added: [], removed: ['/root/a.js']},
+          ]);
+          return dgraph.getDependencies({entryFile: '/root/index.js'});
+        }).then(({dependencies}) => {
+          expect(getPaths(dependencies)).toEqual(['/root/index.js']);
+        });
+      });
+
+      pit('leaves a deleted entry file out of its response', () => {
+        let response;
+        dgraph = createGraph({maxConcurrentResolutions: 4});
+        return dgraph.getDependencies({entryFile: '/root/index.js'}).then(result => {
+          response = result;
+          const changed = nextChange();
+          delete filesystem.root['index.js'];
+          triggerFileChange('delete', 'index.js', '/root');
+          return changed;
+        }).then(() => response.allResolved()).then(() => {
+          expect(getPaths(response.dependencies)).toEqual(['/root/a.js']);
+        });
+      });
+
+      pit('leaves a response empty once its only module is deleted', () => {
+        let response;
+        dgraph = createGraph({maxConcurrentResolutions: 4});
+        return dgraph.getDependencies({entryFile: '/root/b.js'}).then(result => {
+          response = result;
+          const changed = nextChange();
+          delete filesystem.root['b.js'];
+          triggerFileChange('delete', 'b.js', '/root');
+          return changed;
+        }).then(() => response.allResolved()).then(() => {
+          expect(response.dependencies).toBeNull();
+        });
+      });
+
+      pit('reports no responses when an unused file is added', () => {
+        return dgraph.getDependencies({entryFile: '/root/index.js'}).then(() => {
+          const changed = nextChange();
+          filesystem.root['c.js'] = '';
+          triggerFileChange('add', 'c.js', '/root', mockStat);
+          return changed;
+        }).then(event => {
+          expect(event.type).toBe('add');
+          expect(event.filePath).toBe('/root/c.js');
+          expect(event.responses).toEqual([]);
+        });
+      });
+
+      pit('reports the responses fixed by an added file', () => {
+        filesystem.root['index.js'] = 'require("./a");\nrequire("./c");';
+        return dgraph.getDependencies({entryFile: '/root/index.js'}).then(() => {
+          const changed = nextChange();
+          filesystem.root['c.js'] = '';
+          triggerFileChange('add', 'c.js', '/root', mockStat);
+          return changed;
+        }).then(event => {
+          expect(getChanges(event)).toEqual([
+            {entryFile: '/root/index.js', added: ['/root/c.js'], removed: []},
+          ]);
+        });
+      });
+
+      pit('resolves the next request after an update fails', () => {
+        return dgraph.getDependencies({entryFile: '/root/index.js'}).then(() => {
+          const changed = nextChange();
+          filesystem.root['index.js'] = 'throw';
+          triggerFileChange('change', 'index.js', '/root', mockStat);
+          return changed;
+        }).then(() => {
+          return dgraph.getDependencies({entryFile: '/root/index.js'});
+        }).then(({dependencies}) => {
+          expect(getPaths(dependencies)).toEqual(['/root/index.js', '/root/a.js']);
+        });
+      });
+
+      pit('reports the responses that fail to update', () => {
+        return dgraph.getDependencies({entryFile: '/root/index.js'}).then(() => {
+          const changed = nextChange();
+          filesystem.root['index.js'] = 'throw';
+          triggerFileChange('change', 'index.js', '/root', mockStat);
+          return changed;
+        }).then(event => {
+          expect(event.responses).toEqual([]);
+
+          const [[failure]] = reporter.update.mock.calls
+            .filter(([{type}]) => type === 'change-failed');
+          expect(failure.filePath).toBe('/root/index.js');
+          expect(failure.entryFile).toBe('/root/index.js');
+          expect(failure.error.message)
+            .toBe('Failed to transform: /root/index.js');
+        });
+      });
+    });
+
+    describe('dependency deltas', () => {
+      let filesystem;
+      let dgraph;
+
+      beforeEach(() => {
+        filesystem = fs.__setMockFilesystem({
+          'root': {
+            'index.js': 'require("./a"); require("./b");',
+            'a.js': '',
+            'b.js': '',
+          },
+        });
+        dgraph = createGraph();
+      });
+
+      function getDelta(revision, entryFile = '/root/index.js') {
+        return dgraph.getDependencyDelta({entryFile, revision});
+      }
+
+      pit('reports the modules changed since a revision', () => {
+        return getDelta().then(delta => {
+          expect(delta.reset).toBe(true);
+          expect(getPaths(delta.added))
+            .toEqual(['/root/index.js', '/root/a.js', '/root/b.js']);
+
+          triggerFileChange('change', 'a.js', '/root', mockStat);
+          return getDelta(delta.revision);
+        }).then(delta => {
+          expect(delta.reset).toBe(false);
+          expect(delta.added).toEqual([]);
+          expect(delta.removed).toEqual([]);
+          expect(getPaths(delta.changed)).toEqual(['/root/a.js']);
+        });
+      });
+
+      pit('reports the modules removed since a revision', () => {
+        return getDelta().then(delta => {
+          filesystem.root['index.js'] = 'require("./a");';
+          triggerFileChange('change', 'index.js', '/root', mockStat);
+          return getDelta(delta.revision);
+        }).then(delta => {
+          expect(delta.added).toEqual([]);
+          expect(getPaths(delta.removed)).toEqual(['/root/b.js']);
+          expect(getPaths(delta.changed)).toEqual(['/root/index.js']);
+        });
+      });
+
+      pit('rejects a revision returned for another request', () => {
+        return getDelta().then(delta => {
+          return getDelta(delta.revision, '/root/a.js');
+        }).then(() => {
+          throw Error('Expected the delta to fail');
+        }, error => {
+          expect(error.message).toMatch(/was not returned by this response/);
+        });
+      });
+
+      pit('forgets file revisions once every snapshot is newer', () => {
+        let first;
+        return getDelta().then(delta => {
+          first = delta;
+          triggerFileChange('change', 'a.js', '/root', mockStat);
+          return getDelta(first.revision);
+        }).then(delta => {
+          expect(Object.keys(dgraph._fileRevisions)).toEqual(['/root/a.js']);
+
+          // Push the first two snapshots out.
+          let revision = delta.revision;
+          return Promise.chain([1, 2, 3, 4, 5], () => {
+            triggerFileChange('change', 'b.js', '/root', mockStat);
+            return getDelta(revision).then(delta => {
+              revision = delta.revision;
+            });
+          });
+        }).then(() => {
+          expect(Object.keys(dgraph._fileRevisions)).toEqual(['/root/b.js']);
+          return getDelta(first.revision);
+        }).then(delta => {
+          expect(delta.reset).toBe(true);
+        });
+      });
+
+      pit('keeps the file revisions that a snapshot still needs', () => {
+        let first;
+        return getDelta().then(delta => {
+          first = delta;
+          triggerFileChange('change', 'a.js', '/root', mockStat);
+          triggerFileChange('change', 'b.js', '/root', mockStat);
+          return getDelta();
+        }).then(() => {
+          expect(Object.keys(dgraph._fileRevisions).sort())
+            .toEqual(['/root/a.js', '/root/b.js']);
+          return getDelta(first.revision);
+        }).then(delta => {
+          expect(getPaths(delta.changed)).toEqual(['/root/a.js', '/root/b.js']);
+        });
+      });
+    });
   });
 
   describe('Extensions', () => {
@@ -6050,6 +6386,1229 @@ describe('DependencyGraph', function() {
     });
   });
 
+  describe('Inverse dependencies', () => {
+    let dgraph;
+
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./a"); require("./b");',
+          'other.js': 'require("./c");',
+          'a.js': 'require("./c");',
+          'b.js': 'require("./c");',
+          'c.js': '',
+          'unused.js': '',
+        },
+      });
+      dgraph = createGraph({platforms: ['ios', 'android']});
+    });
+
+    pit('finds the modules that require a file', () => {
+      return dgraph.getDependencies({entryFile: '/root/index.js', platform: 'ios'})
+        .then(() => dgraph.getInverseDependencies('/root/c.js'))
+        .then(dependers => {
+          expect(getPaths(dependers).sort()).toEqual(['/root/a.js', '/root/b.js']);
+        });
+    });
+
+    pit('finds the dependers of the dependers when transitive', () => {
+      return dgraph.getDependencies({entryFile: '/root/index.js', platform: 'ios'})
+        .then(() => dgraph.getInverseDependencies('/root/c.js', {transitive: true}))
+        .then(dependers => {
+          expect(getPaths(dependers).sort())
+            .toEqual(['/root/a.js', '/root/b.js', '/root/index.js']);
+        });
+    });
+
+    pit('gathers the dependers of every cached response', () => {
+      return Promise.map([
+        dgraph.getDependencies({entryFile: '/root/index.js', platform: 'ios'}),
+        dgraph.getDependencies({entryFile: '/root/other.js', platform: 'android'}),
+      ]).then(() => Promise.map([
+        dgraph.getInverseDependencies('/root/c.js'),
+        dgraph.getInverseDependencies('/root/c.js', {platform: 'android'}),
+      ])).then(([all, android]) => {
+        expect(getPaths(all).sort()).toEqual(['/root/a.js', '/root/b.js', '/root/other.js']);
+        expect(getPaths(android)).toEqual(['/root/other.js']);
+      });
+    });
+
+    pit('returns nothing for a file that no response has loaded', () => {
+      return dgraph.getDependencies({entryFile: '/root/index.js', platform: 'ios'})
+        .then(() => Promise.map([
+          dgraph.getInverseDependencies('/root/unused.js'),
+          dgraph.getInverseDependencies('/root/index.js'),
+        ]))
+        .then(([unused, entry]) => {
+          expect(unused).toEqual([]);
+          expect(entry).toEqual([]);
+        });
+    });
+  });
+
+  describe('Cycles', () => {
+    pit('finds every cycle of requires with the require string of each edge', () => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./a"); require("./self");',
+          'a.js': 'require("./b");',
+          'b.js': 'require("./c.js");',
+          'c.js': 'require("./a");',
+          'self.js': 'require("./self");',
+        },
+      });
+      const dgraph = createGraph();
+      return dgraph.findCycles({entryFile: '/root/index.js', platform: 'ios'}).then(cycles => {
+        expect(cycles).toEqual([
+          {
+            modules: ['/root/a.js', '/root/b.js', '/root/c.js'],
+            edges: [
+              {from: '/root/a.js', to: '/root/b.js', requiredPath: './b', async: false},
+              {from: '/root/b.js', to: '/root/c.js', requiredPath: './c.js', async: false},
+              {from: '/root/c.js', to: '/root/a.js', requiredPath: './a', async: false},
+            ],
+          },
+          {
+            modules: ['/root/self.js'],
+            edges: [
+              {from: '/root/self.js', to: '/root/self.js', requiredPath: './self', async: false},
+            ],
+          },
+        ]);
+      });
+    });
+  });
+
+  describe('Serialization', () => {
+    let dgraph;
+
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': [
+            '/**',
+            ' * @providesModule index',
+            ' */',
+            'require("./a");',
+            'require("./img.png");',
+            'require("fs");',
+            'import("./lazy");',
+          ].join('\n'),
+          'a.ios.js': 'require("./lazy");',
+          'lazy.js': '',
+          'img.png': '',
+        },
+      });
+      dgraph = createGraph({platforms: ['ios']});
+    });
+
+    function getResponse() {
+      return dgraph.getDependencies({entryFile: '/root/index.js', platform: 'ios'});
+    }
+
+    pit('serializes the modules and the requires between them', () => {
+      return getResponse()
+        .then(response => response.serialize())
+        .then(graph => {
+          expect(graph).toEqual({
+            entry: '/root/index.js',
+            platform: 'ios',
+            nodes: [
+              {path: '/root/a.ios.js', name: null, type: 'Module', platform: 'ios'},
+              {path: '/root/img.png', name: null, type: 'AssetModule', platform: null},
+              {path: '/root/index.js', name: 'index', type: 'Module', platform: null},
+              {path: '/root/lazy.js', name: null, type: 'Module', platform: null},
+              {path: 'fs', name: null, type: 'NullModule', platform: null},
+            ],
+            edges: [
+              {from: '/root/a.ios.js', to: '/root/lazy.js', requiredPath: './lazy', async: false},
+              {from: '/root/index.js', to: '/root/a.ios.js', requiredPath: './a', async: false},
+              {from: '/root/index.js', to: '/root/img.png', requiredPath: './img.png', async: false},
+              {from: '/root/index.js', to: 'fs', requiredPath: 'fs', async: false},
+              {from: '/root/index.js', to: '/root/lazy.js', requiredPath: './lazy', async: true},
+            ],
+          });
+        });
+    });
+
+    pit('converts the serialized graph to the DOT format', () => {
+      return getResponse()
+        .then(response => response.toDOT())
+        .then(dot => {
+          expect(dot).toBe([
+            'digraph dependencies {',
+            '  "/root/a.ios.js" [label="/root/a.ios.js", shape=ellipse];',
+            '  "/root/img.png" [label="/root/img.png", shape=box];',
+            '  "/root/index.js" [label="index\\n/root/index.js", shape=ellipse];',
+            '  "/root/lazy.js" [label="/root/lazy.js", shape=ellipse];',
+            '  "fs" [label="fs", shape=ellipse, style=dashed];',
+            '  "/root/a.ios.js" -> "/root/lazy.js" [label="./lazy"];',
+            '  "/root/index.js" -> "/root/a.ios.js" [label="./a"];',
+            '  "/root/index.js" -> "/root/img.png" [label="./img.png"];',
+            '  "/root/index.js" -> "fs" [label="fs"];',
+            '  "/root/index.js" -> "/root/lazy.js" [label="./lazy", style=dashed];',
+            '}',
+          ].join('\n') + '\n');
+        });
+    });
+  });
+
+  describe('Multiple entry files', () => {
+    let dgraph;
+
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'one.js': 'require("./shared"); require("./onlyOne");',
+          'two.js': 'require("./shared"); require("./onlyTwo");',
+          'shared.js': 'require("./util");',
+          'util.js': '',
+          'onlyOne.js': '',
+          'onlyTwo.js': '',
+        },
+      });
+      dgraph = createGraph();
+    });
+
+    function getResponse() {
+      return dgraph.getDependencies({entryFiles: ['/root/one.js', '/root/two.js']});
+    }
+
+    pit('resolves every entry file in one graph', () => {
+      return getResponse().then(response => {
+        expect(getPaths(response.entryModules)).toEqual(['/root/one.js', '/root/two.js']);
+        expect(getPaths(response.dependencies)).toEqual([
+          '/root/one.js',
+          '/root/shared.js',
+          '/root/util.js',
+          '/root/onlyOne.js',
+          '/root/two.js',
+          '/root/onlyTwo.js',
+        ]);
+      });
+    });
+
+    pit('groups the modules that are shared by all entries or unique to one', () => {
+      return getResponse().then(response => {
+        expect(getPaths(response.sharedDependencies))
+          .toEqual(['/root/shared.js', '/root/util.js']);
+        expect(Object.keys(response.uniqueDependencies))
+          .toEqual(['/root/one.js', '/root/two.js']);
+        expect(getPaths(response.uniqueDependencies['/root/one.js']))
+          .toEqual(['/root/one.js', '/root/onlyOne.js']);
+        expect(getPaths(response.uniqueDependencies['/root/two.js']))
+          .toEqual(['/root/two.js', '/root/onlyTwo.js']);
+      });
+    });
+
+    pit('caches the response of the same entry files', () => {
+      return Promise.map([
+        getResponse(),
+        getResponse(),
+        dgraph.getDependencies({entryFile: '/root/one.js'}),
+      ]).then(([first, second, single]) => {
+        expect(second).toBe(first);
+        expect(single).not.toBe(first);
+        expect(single.entryModules).toBeNull();
+      });
+    });
+
+    it('throws without any entry files', () => {
+      expect(() => dgraph.getDependencies({entryFiles: []})).toThrow(
+        'Must provide an \'entryFile\' or at least one \'entryFiles\' path!'
+      );
+    });
+  });
+
+  describe('Explaining resolutions', () => {
+    let dgraph;
+
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./a");',
+          'a.ios.js': '',
+          'a.js': '',
+          'b.js': '',
+          'Foo.js': '/**\n * @providesModule Foo\n */',
+        },
+      });
+      dgraph = createGraph({platforms: ['ios']});
+    });
+
+    pit('lists every candidate until one is accepted', () => {
+      return dgraph.explainResolution('./a', '/root/index.js', 'ios').then(result => {
+        expect(result.requiredPath).toBe('./a');
+        expect(result.path).toBe('/root/a.ios.js');
+        expect(result.error).toBeNull();
+
+        const {candidates} = result;
+        expect(candidates[0]).toEqual({
+          strategy: 'asset',
+          path: './a',
+          accepted: false,
+          reason: 'no matching asset',
+        });
+        expect(candidates[1]).toEqual({
+          strategy: 'haste',
+          path: './a',
+          accepted: false,
+          reason: 'not a module name',
+        });
+        expect(candidates[candidates.length - 1]).toEqual({
+          strategy: 'path',
+          path: '/root/a.ios.js',
+          accepted: true,
+          reason: 'file exists',
+        });
+      });
+    });
+
+    pit('explains haste modules', () => {
+      return dgraph.explainResolution('Foo', '/root/index.js', 'ios').then(result => {
+        expect(result.path).toBe('/root/Foo.js');
+        expect(result.candidates[result.candidates.length - 1]).toEqual({
+          strategy: 'haste',
+          path: '/root/Foo.js',
+          accepted: true,
+          reason: 'haste module named \'Foo\'',
+        });
+      });
+    });
+
+    pit('rejects every candidate of a missing module', () => {
+      return dgraph.explainResolution('./missing', '/root/index.js', 'ios').then(result => {
+        expect(result.path).toBeNull();
+        expect(result.error.type).toBe('UnableToResolveError');
+        expect(result.candidates.length).toBeGreaterThan(0);
+        expect(result.candidates.filter(candidate => candidate.accepted)).toEqual([]);
+      });
+    });
+
+    pit('does not change the cached responses', () => {
+      const getPaths = () => getDependencyPaths(dgraph, {platform: 'ios'});
+      return getPaths().then(() =>
+        dgraph.explainResolution('./b', '/root/index.js', 'ios')
+      ).then(result => {
+        expect(result.path).toBe('/root/b.js');
+        return getPaths();
+      }).then(paths => {
+        expect(paths).toEqual(['/root/index.js', '/root/a.ios.js']);
+      });
+    });
+  });
+
+  describe('Platform differences', () => {
+    let dgraph;
+
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./ui"); require("./common");',
+          'ui.ios.js': 'require("./iosOnly");',
+          'ui.android.js': 'require("./androidOnly");',
+          'iosOnly.js': 'require("./deep");',
+          'androidOnly.js': '',
+          'deep.js': 'require("./common");',
+          'common.js': '',
+        },
+      });
+      dgraph = createGraph({platforms: ['ios', 'android']});
+    });
+
+    pit('finds the modules that only one platform depends on', () => {
+      return dgraph.diffPlatforms({
+        entryFile: '/root/index.js',
+        platforms: ['ios', 'android'],
+      }).then(diff => {
+        expect(diff).toEqual({
+          ios: [
+            {path: '/root/deep.js', cause: '/root/ui.ios.js'},
+            {path: '/root/iosOnly.js', cause: '/root/ui.ios.js'},
+            {path: '/root/ui.ios.js', cause: '/root/ui.ios.js'},
+          ],
+          android: [
+            {path: '/root/androidOnly.js', cause: '/root/ui.android.js'},
+            {path: '/root/ui.android.js', cause: '/root/ui.android.js'},
+          ],
+        });
+      });
+    });
+
+    pit('finds the closest depender that passes a test', () => {
+      return dgraph.getDependencies({entryFile: '/root/index.js', platform: 'ios'})
+        .then(response => {
+          const common = dgraph.getModuleForPath('/root/common.js');
+          const endsWith = (name) => (module) => module.path.endsWith(name);
+          return Promise.map([
+            response.findClosestDepender(common, endsWith('index.js')),
+            response.findClosestDepender(common, endsWith('.ios.js')),
+            response.findClosestDepender(common, endsWith('.android.js')),
+          ]);
+        })
+        .then(dependers => {
+          expect(dependers.map(depender => depender && depender.path))
+            .toEqual(['/root/index.js', '/root/ui.ios.js', null]);
+        });
+    });
+  });
+
+  describe('Extra node modules', () => {
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': '',
+          'libs': {
+            'ui': {
+              'package.json': JSON.stringify({main: 'main.js'}),
+              'main.js': '',
+            },
+            'scope': {
+              'utils': {
+                'format.js': '',
+              },
+            },
+            'shared': {
+              'index.js': '',
+            },
+          },
+          'node_modules': {
+            'foo': {
+              'package.json': JSON.stringify({main: 'index.js'}),
+              'index.js': 'require("bar");',
+            },
+            'bar': {
+              'package.json': JSON.stringify({main: 'index.js'}),
+              'index.js': '',
+            },
+          },
+        },
+      });
+    });
+
+    function resolve(requiredPath, fromFile) {
+      const dgraph = createGraph({
+        extraNodeModules: {
+          '@scope/ui': '/root/libs/ui',
+          '@scope': '/root/libs/scope',
+          'shared': ['/root/missing', '/root/libs/shared'],
+        },
+      });
+      return dgraph.explainResolution(requiredPath, fromFile || '/root/index.js')
+        .then(result => result.path);
+    }
+
+    pit('maps a scoped package by its name', () => {
+      return resolve('@scope/ui').then(path => {
+        expect(path).toBe('/root/libs/ui/main.js');
+      });
+    });
+
+    pit('maps the packages of a scope by the scope', () => {
+      return resolve('@scope/utils/format').then(path => {
+        expect(path).toBe('/root/libs/scope/utils/format.js');
+      });
+    });
+
+    pit('prefers the package name over its scope', () => {
+      return resolve('@scope/ui/main').then(path => {
+        expect(path).toBe('/root/libs/ui/main.js');
+      });
+    });
+
+    pit('tries each directory of a package in order', () => {
+      return resolve('shared').then(path => {
+        expect(path).toBe('/root/libs/shared/index.js');
+      });
+    });
+
+    pit('does not resolve unmapped scoped packages', () => {
+      return resolve('@other/ui').then(path => {
+        expect(path).toBeNull();
+      });
+    });
+
+    // The search used to loop forever on a parent 'node_modules' directory.
+    pit('resolves a package from inside another package', () => {
+      return resolve('bar', '/root/node_modules/foo/index.js').then(path => {
+        expect(path).toBe('/root/node_modules/bar/index.js');
+      });
+    });
+  });
+
+  describe('Reporting', () => {
+    pit('reports its events to the given reporter', () => {
+      fs.__setMockFilesystem({'root': {'index.js': ''}});
+
+      const reporter = {update: jest.genMockFn()};
+      const dgraph = createGraph({reporter});
+
+      return dgraph.load().then(() => {
+        expect(reporter.update).toBeCalledWith({
+          type: 'haste-modules-counted',
+          count: 0,
+        });
+      });
+    });
+  });
+
+  describe('Symlinks', () => {
+    let reporter;
+
+    beforeEach(() => {
+      reporter = {update: jest.genMockFn()};
+      defaults.fileWatcher.watch = jest.genMockFn()
+        .mockImplementation(() => Promise());
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./lib");',
+          'lib': {SYMLINK: '/root-lib'},
+          'loop': {SYMLINK: '/root'},
+        },
+        'root-lib': {
+          'index.js': 'require("./util");',
+          'util.js': '',
+        },
+      });
+    });
+
+    pit('crawls a linked directory that only shares a prefix with a root', () => {
+      return getDependencyPaths(createGraph({reporter})).then(paths => {
+        expect(paths).toEqual([
+          '/root/index.js',
+          '/root-lib/index.js',
+          '/root-lib/util.js',
+        ]);
+      });
+    });
+
+    pit('never crawls a directory twice when a link forms a cycle', () => {
+      const dgraph = createGraph({reporter});
+      return dgraph.load().then(() => {
+        expect(dgraph.getFS().getAllFiles().sort()).toEqual([
+          '/root-lib/index.js',
+          '/root-lib/util.js',
+          '/root/index.js',
+        ]);
+      });
+    });
+
+    pit('maps between link paths and real paths', () => {
+      const dgraph = createGraph({reporter});
+      return dgraph.load().then(() => {
+        const fastfs = dgraph.getFS();
+        expect(fastfs.getRealPath('/root/lib/util.js')).toBe('/root-lib/util.js');
+        expect(fastfs.getRealPath('/root/index.js')).toBe('/root/index.js');
+        expect(fastfs.getLinkPaths('/root-lib/util.js')).toEqual(['/root/lib/util.js']);
+        expect(dgraph.getModuleForPath('/root/lib/util.js'))
+          .toBe(dgraph.getModuleForPath('/root-lib/util.js'));
+      });
+    });
+
+    pit('only indexes the linked files of a directory outside the roots', () => {
+      const filesystem = fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./config");',
+          'config.js': {SYMLINK: '/shared/config.js'},
+        },
+        'shared': {'config.js': ''},
+      });
+
+      let onChange;
+      defaults.fileWatcher.on = function(eventType, callback) {
+        onChange = callback;
+        return this;
+      };
+
+      const dgraph = createGraph({reporter});
+      return dgraph.load().then(() => {
+        filesystem.shared['other.js'] = '';
+        onChange('add', 'other.js', '/shared', {isDirectory: () => false});
+
+        const fastfs = dgraph.getFS();
+        expect(fastfs.getAllFiles().sort())
+          .toEqual(['/root/index.js', '/shared/config.js']);
+        expect(fastfs.fileExists('/root/config.js')).toBe(true);
+        expect(fastfs.fileExists('/shared/other.js')).toBe(false);
+      });
+    });
+
+    pit('watches every linked directory outside the roots', () => {
+      const dgraph = createGraph({reporter});
+      return dgraph.load().then(() => {
+        expect(defaults.fileWatcher.watch.mock.calls).toEqual([
+          [{dir: '/root-lib', globs: ['**/*.js', '**/*.png', '**/*.jpg']}],
+        ]);
+      });
+    });
+
+    pit('reports a linked directory that cannot be watched', () => {
+      const error = Error('Too many watchers');
+      defaults.fileWatcher.watch.mockImplementation(() => Promise.reject(error));
+
+      const dgraph = createGraph({reporter});
+      return dgraph.load().then(() => {
+        expect(reporter.update).toBeCalledWith({
+          type: 'link-watch-failed',
+          dirPath: '/root-lib',
+          error,
+        });
+      });
+    });
+  });
+
+  describe('Cached responses', () => {
+    let dgraph;
+
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'a.js': '',
+          'b.js': '',
+          'c.js': '',
+        },
+      });
+      dgraph = createGraph({maxCachedResponses: 1});
+    });
+
+    pit('tracks new modules in a cached response, but not in its copies', () => {
+      return dgraph.getDependencies({entryFile: '/root/a.js'}).then(response => {
+        const copy = response.copy({});
+        response.getResolution(dgraph.getModuleForPath('/root/c.js'));
+        expect(getPaths(response.dependencies)).toEqual(['/root/a.js', '/root/c.js']);
+        expect(getPaths(copy.dependencies)).toEqual(['/root/a.js']);
+      });
+    });
+
+    pit('stops tracking new modules once a response is evicted', () => {
+      let response;
+      return dgraph.getDependencies({entryFile: '/root/a.js'}).then(result => {
+        response = result;
+        return dgraph.getDependencies({entryFile: '/root/b.js'});
+      }).then(() => {
+        response.getResolution(dgraph.getModuleForPath('/root/c.js'));
+        expect(getPaths(response.dependencies)).toEqual(['/root/a.js']);
+      });
+    });
+
+    pit('releases the responses of an entry file', () => {
+      return dgraph.getDependencies({entryFile: '/root/a.js'}).then(response => {
+        expect(dgraph.releaseResponse('/root/b.js')).toBe(false);
+        expect(dgraph.releaseResponse('/root/a.js')).toBe(true);
+        response.getResolution(dgraph.getModuleForPath('/root/c.js'));
+        expect(getPaths(response.dependencies)).toEqual(['/root/a.js']);
+      });
+    });
+  });
+
+  describe('Graph cache', () => {
+    const io = require('io');
+    const Resolution = require('../Resolution');
+    const {exists, read} = io.sync;
+    const {stats, write} = io.async;
+    const isHaste = Module.prototype.isHaste;
+    const resolveModule = Resolution.prototype._resolveModule;
+    let cacheFile, mtimes, hasteChecks, resolvedPaths;
+
+    beforeEach(() => {
+      cacheFile = null;
+      mtimes = {};
+      hasteChecks = [];
+      resolvedPaths = [];
+
+      // Keep the cache file in memory, and only change
+      // the mtime of a file when a test asks for it.
+      io.sync.exists = () => cacheFile != null;
+      io.sync.read = () => cacheFile;
+      io.async.stats = (filePath) => Promise({
+        mtime: {getTime: () => mtimes[filePath] || 1},
+      });
+      io.async.write = (filePath, contents) => {
+        cacheFile = contents;
+        return Promise();
+      };
+
+      Module.prototype.isHaste = function() {
+        hasteChecks.push(this.path);
+        return isHaste.apply(this, arguments);
+      };
+      Resolution.prototype._resolveModule = function(requiredPath) {
+        resolvedPaths.push(requiredPath);
+        return resolveModule.apply(this, arguments);
+      };
+
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./a");',
+          'a.js': 'require("b");',
+          'b.js': [
+            '/**',
+            ' * @providesModule b',
+            ' */',
+          ].join('\n'),
+          'c.js': '',
+        },
+      });
+    });
+
+    afterEach(() => {
+      Object.assign(io.sync, {exists, read});
+      Object.assign(io.async, {stats, write});
+      Module.prototype.isHaste = isHaste;
+      Resolution.prototype._resolveModule = resolveModule;
+    });
+
+    function createCachedGraph(options) {
+      return createGraph({
+        projectExts: ['js', 'json'],
+        graphCacheFile: '/cache/graph.json',
+        ...options,
+      });
+    }
+
+    // Resolves the entry file in a new graph, and persists it.
+    function persistGraph(options) {
+      const dgraph = createCachedGraph(options);
+      return getDependencyPaths(dgraph)
+        .then(() => dgraph.persistGraph())
+        .then(() => {
+          hasteChecks = [];
+          resolvedPaths = [];
+        });
+    }
+
+    pit('restores the haste map and resolved requires of a previous process', () => {
+      return persistGraph()
+        .then(() => getDependencyPaths(createCachedGraph()))
+        .then(paths => {
+          expect(paths).toEqual(['/root/index.js', '/root/a.js', '/root/b.js']);
+          expect(hasteChecks).toEqual([]);
+          expect(resolvedPaths).toEqual([]);
+        });
+    });
+
+    pit('only reads the files that changed since the graph was persisted', () => {
+      return persistGraph()
+        .then(() => {
+          mtimes['/root/c.js'] = 2;
+          return getDependencyPaths(createCachedGraph());
+        })
+        .then(paths => {
+          expect(paths).toEqual(['/root/index.js', '/root/a.js', '/root/b.js']);
+          expect(hasteChecks).toEqual(['/root/c.js']);
+        });
+    });
+
+    pit('only resolves the dependers of added or removed files again', () => {
+      const filesystem = fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./a"); require("./c");',
+          'a.js': 'require("./d");',
+          'c.js': '',
+          'd.js': '',
+        },
+      });
+      return persistGraph()
+        .then(() => {
+          delete filesystem.root['d.js'];
+          filesystem.root['d'] = {'index.js': ''};
+          filesystem.root['e.js'] = '';
+          return getDependencyPaths(createCachedGraph());
+        })
+        .then(paths => {
+          expect(paths).toEqual([
+            '/root/index.js',
+            '/root/a.js',
+            '/root/d/index.js',
+            '/root/c.js',
+          ]);
+          expect(resolvedPaths).toEqual(['./d']);
+        });
+    });
+
+    pit('discards the persisted graph when a resolver option changes', () => {
+      const aliases = [{from: './a', to: './c'}];
+      return persistGraph()
+        .then(() => getDependencyPaths(createCachedGraph({aliases})))
+        .then(paths => {
+          expect(paths).toEqual(['/root/index.js', '/root/c.js']);
+          expect(resolvedPaths).toEqual(['./a']);
+        });
+    });
+
+    pit('discards the persisted graph when an alias pattern changes', () => {
+      return persistGraph({aliases: [{from: /^\.\/x$/, to: './a'}]})
+        .then(() => getDependencyPaths(createCachedGraph({
+          aliases: [{from: /^\.\/a$/, to: './c'}],
+        })))
+        .then(paths => {
+          expect(paths).toEqual(['/root/index.js', '/root/c.js']);
+        });
+    });
+
+    pit('does not persist the graph when a custom resolver has no cache key', () => {
+      return persistGraph({resolvers: ['haste', 'path', () => null]}).then(() => {
+        expect(cacheFile).toBeNull();
+      });
+    });
+
+    pit('restores the graph of custom resolvers with the same cache key', () => {
+      const resolvers = ['haste', 'path', () => null];
+      return persistGraph({resolvers, graphCacheKey: '1'})
+        .then(() => getDependencyPaths(createCachedGraph({resolvers, graphCacheKey: '1'})))
+        .then(() => {
+          expect(resolvedPaths).toEqual([]);
+          return getDependencyPaths(createCachedGraph({resolvers, graphCacheKey: '2'}));
+        })
+        .then(paths => {
+          expect(paths).toEqual(['/root/index.js', '/root/a.js', '/root/b.js']);
+          expect(resolvedPaths).toEqual(['./a', 'b']);
+        });
+    });
+
+    pit('does not stat any files when no graph was persisted', () => {
+      const statted = [];
+      io.async.stats = (filePath) => {
+        statted.push(filePath);
+        return Promise({mtime: {getTime: () => 1}});
+      };
+      return getDependencyPaths(createCachedGraph()).then(() => {
+        expect(statted).toEqual([]);
+      });
+    });
+
+    pit('never persists the graph once ended', () => {
+      const graphs = [createCachedGraph(), createCachedGraph()];
+      const persists = graphs.map(dgraph =>
+        dgraph._graphCache.persist = jest.genMockFn());
+
+      return Promise.map(graphs, dgraph => getDependencyPaths(dgraph)).then(() => {
+        graphs[1].end();
+        jest.runAllTimers();
+        expect(persists[0].mock.calls.length).toBe(1);
+        expect(persists[1]).not.toBeCalled();
+      });
+    });
+  });
+
+  describe('Resolvers', () => {
+    const lotusFiles = ['/lotus/lib/index.js'];
+    const lotus = {
+      path: '/lotus',
+      resolve: (filePath) => {
+        const resolved = filePath.endsWith('.js') ? filePath : filePath + '.js';
+        return lotusFiles.indexOf(resolved) >= 0 ? resolved : null;
+      },
+    };
+
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("lib/index");',
+          'lib': {
+            'index.js': '',
+          },
+        },
+        'lotus': {
+          'lib': {
+            'index.js': '',
+          },
+        },
+      });
+    });
+
+    pit('uses the lotus resolver by default when a lotus option is passed', () => {
+      return getDependencyPaths(createGraph({lotus, writeHasteMap: false})).then(paths => {
+        expect(paths).toEqual(['/root/index.js', '/lotus/lib/index.js']);
+      });
+    });
+
+    pit('does not use the lotus option in the path resolver', () => {
+      const dgraph = createGraph({
+        lotus,
+        writeHasteMap: false,
+        resolvers: ['path', (requiredPath) => '/root/' + requiredPath + '.js'],
+      });
+      return getDependencyPaths(dgraph).then(paths => {
+        expect(paths).toEqual(['/root/index.js', '/root/lib/index.js']);
+      });
+    });
+
+    it('throws when the lotus resolver is used without a lotus option', () => {
+      expect(() => createGraph({resolvers: ['lotus']})).toThrow(
+        'The \'lotus\' resolver requires a \'lotus\' option!'
+      );
+    });
+
+    pit('calls custom resolvers in order', () => {
+      const first = jest.genMockFn().mockImplementation(() => null);
+      const second = jest.genMockFn().mockImplementation(() => '/root/lib/index.js');
+      const third = jest.genMockFn();
+      return getDependencyPaths(createGraph({resolvers: [first, second, third]})).then(paths => {
+        expect(paths).toEqual(['/root/index.js', '/root/lib/index.js']);
+        expect(first.mock.calls.length).toBe(1);
+        expect(second.mock.calls.length).toBe(1);
+        expect(third).not.toBeCalled();
+      });
+    });
+
+    pit('accepts modules returned by custom resolvers', () => {
+      let dgraph;
+      const resolver = () => dgraph.getModuleForPath('/lotus/lib/index.js');
+      dgraph = createGraph({resolvers: [resolver]});
+      return getDependencyPaths(dgraph).then(paths => {
+        expect(paths).toEqual(['/root/index.js', '/lotus/lib/index.js']);
+      });
+    });
+
+    pit('rejects other values returned by custom resolvers', () => {
+      const dgraph = createGraph({resolvers: [() => ({path: '/root/lib/index.js'})]});
+      return getDependencyPaths(dgraph).then(() => {
+        throw Error('Expected the resolution to fail');
+      }, error => {
+        expect(error.message).toContain(
+          'A custom resolver must return a module, a path, or nothing!'
+        );
+      });
+    });
+  });
+
+  describe('I/O queue', () => {
+    afterEach(() => {
+      DependencyGraph.setMaxConcurrentIO(64);
+    });
+
+    pit('applies the shared limit to existing graphs', () => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./a"); require("./b"); require("./c");',
+          'a.js': '',
+          'b.js': '',
+          'c.js': '',
+        },
+      });
+      const dgraph = createGraph();
+      DependencyGraph.setMaxConcurrentIO(1);
+      return dgraph.getDependencies({entryFile: '/root/index.js'}).then(() => {
+        const metrics = DependencyGraph.getIOMetrics();
+        expect(metrics.concurrency).toBe(1);
+        expect(metrics.running).toBe(0);
+        expect(metrics.pending).toBe(0);
+      });
+    });
+  });
+
+  describe('Main fields', () => {
+    let dgraph;
+
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'package.json': JSON.stringify({
+            name: 'app',
+            main: 'main.js',
+            browser: 'browser.js',
+          }),
+          'index.js': 'require("dep");',
+          'main.js': '',
+          'browser.js': '',
+          'node_modules': {
+            'dep': {
+              'package.json': JSON.stringify({
+                name: 'dep',
+                main: 'main.js',
+                browser: 'browser.js',
+              }),
+              'main.js': '',
+              'browser.js': '',
+            },
+          },
+        },
+      });
+      dgraph = createGraph({
+        platforms: ['ios', 'web'],
+        moduleRoot: '/root',
+        mainFields: {
+          ios: ['main'],
+          web: ['browser', 'main'],
+        },
+      });
+    });
+
+    pit('resolves packages with the main fields of each platform', () => {
+      const getPlatformPaths = (platform) => getDependencyPaths(dgraph, {platform});
+      return Promise.map(['ios', 'web'], getPlatformPaths).then(([ios, web]) => {
+        expect(ios).toEqual(['/root/index.js', '/root/node_modules/dep/main.js']);
+        expect(web).toEqual(['/root/index.js', '/root/node_modules/dep/browser.js']);
+      });
+    });
+
+    pit('names the main module with the main fields of each platform', () => {
+      const getMainModuleId = (platform) =>
+        dgraph.getDependencies({entryFile: '/root/browser.js', platform})
+          .then(response => response.mainModuleId);
+
+      return Promise.map(['ios', 'web'], getMainModuleId).then(([ios, web]) => {
+        expect(ios).toBe('browser.js');
+        expect(web).toBe('app');
+      });
+    });
+
+    pit('checks the main module with the given main fields', () => {
+      return dgraph.load().then(() => {
+        const module = dgraph.getModuleForPath('/root/browser.js');
+        return Promise.map([
+          module.isMain(),
+          module.isMain(['main']),
+          module.isMain(['browser', 'main']),
+        ]);
+      }).then(results => {
+        expect(results).toEqual([true, false, true]);
+      });
+    });
+  });
+
+  describe('Package exports', () => {
+    let filesystem;
+    let dgraph;
+
+    beforeEach(() => {
+      filesystem = fs.__setMockFilesystem({
+        'root': {
+          'feature.js': 'require("pkg/feature");',
+          'hidden.js': 'require("pkg/hidden");',
+          'plain.js': 'require("plain/other");',
+          'index.js': 'require("pkg");',
+          'node_modules': {
+            'pkg': {
+              'package.json': JSON.stringify({
+                name: 'pkg',
+                exports: {
+                  '.': {
+                    'react-native': './native.js',
+                    'browser': './browser.js',
+                    'default': './index.js',
+                  },
+                  './feature': './lib/feature.js',
+                },
+              }),
+              'index.js': '',
+              'native.js': '',
+              'browser.js': '',
+              'hidden.js': '',
+              'lib': {
+                'feature.js': '',
+              },
+            },
+            'plain': {
+              'package.json': JSON.stringify({name: 'plain'}),
+              'index.js': '',
+              'other.js': '',
+            },
+          },
+        },
+      });
+      dgraph = createGraph({platforms: ['ios', 'web']});
+    });
+
+    pit('resolves exported subpaths', () => {
+      const options = {entryFile: '/root/feature.js', platform: 'ios'};
+      return getDependencyPaths(dgraph, options).then(paths => {
+        expect(paths).toEqual(['/root/feature.js', '/root/node_modules/pkg/lib/feature.js']);
+      });
+    });
+
+    pit('does not resolve subpaths missing from the "exports" field', () => {
+      const onResolutionError = jest.genMockFn();
+      dgraph = createGraph({onResolutionError});
+      const options = {entryFile: '/root/hidden.js'};
+      return getDependencyPaths(dgraph, options).then(paths => {
+        expect(paths).toEqual(['/root/hidden.js']);
+        expect(onResolutionError.mock.calls.length).toBe(1);
+        expect(onResolutionError.mock.calls[0][0].type).toBe('UnableToResolveError');
+      });
+    });
+
+    pit('stops searching once a package does not export the subpath', () => {
+      filesystem.root.vendor = {
+        'pkg': {
+          'package.json': JSON.stringify({name: 'pkg'}),
+          'hidden.js': '',
+        },
+      };
+      const onResolutionError = jest.genMockFn();
+      dgraph = createGraph({
+        onResolutionError,
+        extraNodeModules: {pkg: '/root/vendor/pkg'},
+      });
+      const options = {entryFile: '/root/hidden.js'};
+      return getDependencyPaths(dgraph, options).then(paths => {
+        expect(paths).toEqual(['/root/hidden.js']);
+        expect(onResolutionError.mock.calls.length).toBe(1);
+      });
+    });
+
+    pit('resolves any subpath of a package without an "exports" field', () => {
+      const options = {entryFile: '/root/plain.js', platform: 'ios'};
+      return getDependencyPaths(dgraph, options).then(paths => {
+        expect(paths).toEqual(['/root/plain.js', '/root/node_modules/plain/other.js']);
+      });
+    });
+
+    pit('uses the "react-native" condition by default', () => {
+      const options = {entryFile: '/root/index.js', platform: 'ios'};
+      return getDependencyPaths(dgraph, options).then(paths => {
+        expect(paths).toEqual(['/root/index.js', '/root/node_modules/pkg/native.js']);
+      });
+    });
+
+    pit('uses the "browser" condition by default on the web', () => {
+      const options = {entryFile: '/root/index.js', platform: 'web'};
+      return getDependencyPaths(dgraph, options).then(paths => {
+        expect(paths).toEqual(['/root/index.js', '/root/node_modules/pkg/browser.js']);
+      });
+    });
+  });
+
+  describe('Unused modules', () => {
+    let dgraph;
+
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': [
+            'require("./used");',
+            'require("./a");',
+            'require("HasteUsed");',
+            'require("./img.png");',
+          ].join('\n'),
+          'used.js': '',
+          'unused.js': '',
+          'a.ios.js': '',
+          'a.android.js': '',
+          'HasteUsed.js': '/**\n * @providesModule HasteUsed\n */',
+          'HasteUnused.js': '/**\n * @providesModule HasteUnused\n */',
+          'img.png': '',
+          'img@2x.png': '',
+          'other.png': '',
+          'README.md': '',
+        },
+      });
+      dgraph = createGraph({
+        assetExts: ['png'],
+        platforms: ['ios', 'android'],
+      });
+    });
+
+    pit('finds the files, haste modules and assets that are never required', () => {
+      return dgraph.findUnusedModules({
+        entryFiles: ['/root/index.js'],
+        platforms: ['ios'],
+      }).then(result => {
+        expect(result).toEqual({
+          files: [
+            '/root/HasteUnused.js',
+            '/root/a.android.js',
+            '/root/unused.js',
+          ],
+          hasteModules: ['HasteUnused'],
+          assets: ['/root/other.png'],
+        });
+      });
+    });
+
+    pit('treats a module as used when any of the platforms requires it', () => {
+      return dgraph.findUnusedModules({
+        entryFiles: ['/root/index.js'],
+        platforms: ['ios', 'android'],
+      }).then(result => {
+        expect(result.files).toEqual([
+          '/root/HasteUnused.js',
+          '/root/unused.js',
+        ]);
+      });
+    });
+
+    pit('only lists files inside the project roots', () => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': '',
+        },
+        'root-lib': {
+          'lib.js': '',
+        },
+      });
+      dgraph = createGraph({
+        assetRoots: ['/root-lib'],
+        platforms: ['ios'],
+      });
+      return dgraph.findUnusedModules({
+        entryFiles: ['/root/index.js'],
+        platforms: ['ios'],
+      }).then(result => {
+        expect(result.files).toEqual([]);
+      });
+    });
+  });
+
+  describe('Cancellation', () => {
+    beforeEach(() => {
+      fs.__setMockFilesystem({
+        'root': {
+          'index.js': 'require("./a"); require("./b");',
+          'a.js': 'require("./c");',
+          'b.js': 'require("./c"); require("./d");',
+          'c.js': '',
+          'd.js': 'require("./e");',
+          'e.js': '',
+        },
+      });
+    });
+
+    function getGraph(dgraph, options) {
+      return dgraph.getDependencies({...options, entryFile: '/root/index.js'})
+        .then(response => Promise.map([
+          getPaths(response.dependencies),
+          response.serialize(),
+        ]));
+    }
+
+    // Aborts the signal once 'count' modules are resolved.
+    function cancelAfter(count) {
+      const signal = {aborted: false};
+      const onProgress = () => {
+        if (--count === 0) {
+          signal.aborted = true;
+        }
+      };
+      return {signal, onProgress};
+    }
+
+    function testResume(options, count) {
+      const dgraph = createGraph(options);
+      return getGraph(dgraph, cancelAfter(count)).then(() => {
+        throw Error('Expected the request to be cancelled');
+      }, error => {
+        expect(error.type).toBe('CancelledError');
+        return Promise.map([
+          getGraph(dgraph),
+          getGraph(createGraph(options)),
+        ]);
+      }).then(([resumed, fresh]) => {
+        expect(resumed).toEqual(fresh);
+      });
+    }
+
+    pit('resumes a cancelled request with the same result as a fresh one', () => {
+      return Promise.chain([1, 2, 3], count => testResume({}, count));
+    });
+
+    pit('resumes a cancelled parallel request with the same result as a fresh one', () => {
+      return Promise.chain([1, 2, 3], count =>
+        testResume({maxConcurrentResolutions: 4}, count));
+    });
+  });
+
   function defer(value) {
     let resolve;
     const promise = Promise.defer(r => { resolve = r; });
@@ -344,6 +344,15 @@ describe('Module', () => {
       });
     });
 
+    pit('extracts async dependencies from the code that `transformCode` resolves to', () => {
+      transformCode.mockReturnValue(Promise({code: exampleCode}));
+      const module = createModule({transformCode});
+
+      return module.readAsyncDependencies().then(dependencies => {
+        expect(dependencies).toEqual(['b']);
+      });
+    });
+
     pit('uses dependencies that `transformCode` resolves to, instead of extracting them', () => {
       const mockedDependencies = ['foo', 'bar'];
       transformCode.mockReturnValue(Promise({
@@ -357,6 +366,22 @@ describe('Module', () => {
       });
     });
 
+    pit('does not extract async dependencies if `transformCode` resolves to dependencies', () => {
+      transformCode.mockReturnValue(Promise({
+        code: exampleCode,
+        dependencies: ['foo', 'bar'],
+      }));
+      const module = createModule({transformCode});
+
+      return Promise.map([
+        module.readAsyncDependencies(),
+        module.readAsyncDependencies(),
+      ]).then(([first, second]) => {
+        expect(first).toEqual([]);
+        expect(first).toBe(second);
+      });
+    });
+
     pit('forwards all additional properties of the result provided by `transformCode`', () => {
       const mockedResult = {
         code: exampleCode,
@@ -4,15 +4,29 @@ const debug = require('debug')('NodeHaste:NodeCrawler');
 
 const fp = require('../fastpath');
 const fs = require('io');
+const ioQueue = require('../utils/ioQueue');
+const isDescendant = require('../utils/isDescendant');
+const nodeFs = require('fs');
 const Promise = require('Promise');
 
+const lstat = Promise.ify(nodeFs.lstat);
+const realpath = Promise.ify(nodeFs.realpath);
+
+// Resolves with the crawled files and the symlinks that were followed
+// (as a map of link paths to real paths). Files are always real paths.
 function nodeRecReadDir(roots, {blacklist, extensions}) {
-  const queue = roots.slice();
+  const queue = roots.map(root => fp.resolve(root));
   const retFiles = [];
+  const links = Object.create(null);
   const extPattern = new RegExp(
     '\.(' + extensions.join('|') + ')$'
   );
 
+  // Linked directories inside these are never crawled twice (avoids cycles).
+  const crawledDirs = queue.slice();
+  const isCrawled = (dirPath) =>
+    crawledDirs.some(crawledDir => isDescendant(crawledDir, dirPath));
+
   function search() {
     const currDir = queue.shift();
     if (!currDir) {
@@ -21,28 +35,35 @@ function nodeRecReadDir(roots, {blacklist, extensions}) {
 
     return fs.async.readDir(currDir)
       .then(files => files.map(f => fp.join(currDir, f)))
-      .then(files => {
-        return Promise.map(f =>
-          fs.async.stats(f).fail(handleBrokenLink)
-        ).then(stats => [
+      .then(files => Promise.map(files, f =>
+        readEntry(f).fail(handleBrokenLink)
+      ))
+      .then(entries => {
+        entries.forEach(entry => {
           // Remove broken links.
-          files.filter((file, i) => !!stats[i]),
-          stats.filter(Boolean),
-        ])
-      })
-      .then(([files, stats]) => {
-        files.forEach((filePath, i) => {
-          if (blacklist(filePath)) {
+          if (!entry || blacklist(entry.path)) {
             return;
           }
 
-          if (stats[i].isDirectory()) {
-            queue.push(filePath);
+          const {path: filePath, stat, realPath} = entry;
+          if (stat.isDirectory()) {
+            if (!realPath) {
+              queue.push(filePath);
+            } else {
+              links[filePath] = realPath;
+              if (!isCrawled(realPath)) {
+                crawledDirs.push(realPath);
+                queue.push(realPath);
+              }
+            }
             return;
           }
 
           if (filePath.match(extPattern)) {
-            retFiles.push(fp.resolve(filePath));
+            if (realPath) {
+              links[filePath] = realPath;
+            }
+            retFiles.push(realPath || fp.resolve(filePath));
           }
         });
 
@@ -50,7 +71,19 @@ function nodeRecReadDir(roots, {blacklist, extensions}) {
       });
   }
 
-  return search().then(() => retFiles);
+  return search().then(() => ({files: retFiles, links}));
+}
+
+// Stats a directory entry. Symlinks are followed.
+function readEntry(filePath) {
+  return ioQueue.push(() => lstat(filePath)).then(stat => {
+    if (!stat.isSymbolicLink()) {
+      return {path: filePath, stat};
+    }
+    return ioQueue.push(() => realpath(filePath)).then(realPath =>
+      ioQueue.push(() => fs.async.stats(realPath)).then(stat =>
+        ({path: filePath, stat, realPath})));
+  });
 }
 
 function handleBrokenLink(e) {
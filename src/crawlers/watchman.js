@@ -1,14 +1,22 @@
 'use strict';
 
 const Promise = require('Promise');
+const fs = require('io');
+const nodeFs = require('fs');
 
 const fp = require('../fastpath');
 const isDescendant = require('../utils/isDescendant');
+const nodeCrawl = require('./node');
+
+const realpath = Promise.ify(nodeFs.realpath);
 
 const watchmanURL = 'https://facebook.github.io/watchman/docs/troubleshooting.html';
 
-function watchmanRecReadDir(roots, {blacklist, fileWatcher, exts}) {
+// Watchman never follows symlinks, so the node crawler is used for their targets.
+function watchmanRecReadDir(roots, options) {
+  const {blacklist, fileWatcher, extensions} = options;
   const files = [];
+  const linkPaths = [];
   return Promise.map(roots, root => {
     return fileWatcher.getWatcherForRoot(root);
   })
@@ -38,11 +46,17 @@ function watchmanRecReadDir(roots, {blacklist, fileWatcher, exts}) {
       }
 
       const cmd = Promise.ify(watcher.client.command.bind(watcher.client));
-      return cmd(['query', watchedRoot, {
-        suffix: exts,
-        expression: ['allof', ['type', 'f'], 'exists', dirExpr],
-        fields: ['name'],
-      }]).then(resp => {
+      return Promise.map([
+        cmd(['query', watchedRoot, {
+          suffix: extensions,
+          expression: ['allof', ['type', 'f'], 'exists', dirExpr],
+          fields: ['name'],
+        }]),
+        cmd(['query', watchedRoot, {
+          expression: ['allof', ['type', 'l'], 'exists', dirExpr],
+          fields: ['name'],
+        }]),
+      ]).then(([resp, linksResp]) => {
         if ('warning' in resp) {
           console.warn('watchman warning: ', resp.warning);
         }
@@ -54,10 +68,21 @@ function watchmanRecReadDir(roots, {blacklist, fileWatcher, exts}) {
           }
           return false;
         });
+
+        linksResp.files.forEach(linkPath => {
+          linkPath = watchedRoot + fp.sep + linkPath;
+          if (!blacklist(linkPath)) {
+            linkPaths.push(linkPath);
+          }
+        });
       });
     });
   })
-  .then(() => files)
+  .then(() => followLinks(linkPaths, roots, options))
+  .then(result => ({
+    files: files.concat(result.files),
+    links: result.links,
+  }))
   .fail(error => {
     throw new Error(
       `Watchman error: ${error.message.trim()}. Make sure watchman ` +
@@ -66,4 +91,43 @@ function watchmanRecReadDir(roots, {blacklist, fileWatcher, exts}) {
   });
 }
 
+// Crawls the targets of the given symlinks (unless they are inside a root).
+function followLinks(linkPaths, roots, options) {
+  const extPattern = new RegExp(
+    '\.(' + options.extensions.join('|') + ')$'
+  );
+
+  return Promise.map(linkPaths, linkPath =>
+    realpath(linkPath)
+    .then(realPath => fs.async.stats(realPath)
+      .then(stat => ({linkPath, realPath, stat})))
+    .fail(() => null)) // Ignore broken links.
+  .then(entries => {
+    const files = [];
+    const links = Object.create(null);
+    const targetDirs = [];
+    const isCrawled = (dirPath) =>
+      roots.concat(targetDirs).some(root => isDescendant(fp.resolve(root), dirPath));
+
+    entries.forEach(entry => {
+      if (!entry) {
+        return;
+      }
+      const {linkPath, realPath, stat} = entry;
+      if (stat.isDirectory()) {
+        links[linkPath] = realPath;
+        isCrawled(realPath) || targetDirs.push(realPath);
+      } else if (linkPath.match(extPattern)) {
+        links[linkPath] = realPath;
+        files.push(realPath);
+      }
+    });
+
+    return nodeCrawl(targetDirs, options).then(result => ({
+      files: files.concat(result.files),
+      links: Object.assign(links, result.links),
+    }));
+  });
+}
+
 module.exports = watchmanRecReadDir;
@@ -61,12 +61,26 @@ type.defineValues({
   _activity: fromArgs('activity'),
 
   _fastPaths: PureObject.create,
+
+  // Maps the path of each followed symlink to its real path.
+  _links: PureObject.create,
+
+  // Maps each real path to the symlinks that point to it.
+  _linkPaths: PureObject.create,
+
+  _hasLinks: false,
 })
 
 type.defineMethods({
 
   build() {
-    return this._crawling.then(files => {
+    return this._crawling.then(result => {
+      // Crawlers resolve with '{files, links}' (or an array of files).
+      const {files, links} = Array.isArray(result) ?
+        {files: result, links: null} : result;
+
+      links && this._addLinks(links);
+
       let fastfsActivity;
       const activity = this._activity;
       if (activity) {
@@ -74,7 +88,7 @@ type.defineMethods({
       }
       files.forEach(filePath => {
         const root = this._getRoot(filePath);
-        if (root) {
+        if (root && !this._fastPaths[filePath]) {
           const newFile = new File(filePath, false);
           const dirname = filePath.substr(0, filePath.lastIndexOf(fp.sep));
           const parent = this._fastPaths[dirname];
@@ -96,6 +110,55 @@ type.defineMethods({
     });
   },
 
+  // Returns the real path of a path that may be inside a followed symlink.
+  getRealPath(filePath) {
+    filePath = fp.resolve(filePath);
+    if (!this._hasLinks) {
+      return filePath;
+    }
+    let linkPath = filePath;
+    while (true) {
+      const realPath = this._links[linkPath];
+      if (realPath) {
+        return realPath + filePath.slice(linkPath.length);
+      }
+      const dirPath = fp.dirname(linkPath);
+      if (dirPath === linkPath) {
+        return filePath;
+      }
+      linkPath = dirPath;
+    }
+  },
+
+  // Returns the paths that a real path can be reached by (through symlinks).
+  getLinkPaths(realPath) {
+    const linkPaths = [];
+    if (!this._hasLinks) {
+      return linkPaths;
+    }
+    let targetPath = realPath;
+    while (true) {
+      const sources = this._linkPaths[targetPath];
+      if (sources) {
+        sources.forEach(linkPath => {
+          linkPaths.push(linkPath + realPath.slice(targetPath.length));
+        });
+      }
+      const dirPath = fp.dirname(targetPath);
+      if (dirPath === targetPath) {
+        return linkPaths;
+      }
+      targetPath = dirPath;
+    }
+  },
+
+  // Returns the roots created for symlinks that point outside every root.
+  getLinkRoots() {
+    return this._roots
+      .filter(root => root.isLink)
+      .map(root => root.path);
+  },
+
   stat(filePath) {
     return Promise.try(() => this._getFile(filePath).stat());
   },
@@ -181,6 +244,44 @@ type.defineMethods({
       .map(name => fp.join(dirFile.path, name));
   },
 
+  _addLinks(links) {
+    Object.keys(links).forEach(linkPath => {
+      const realPath = links[linkPath];
+      this._links[linkPath] = realPath;
+      if (!this._linkPaths[realPath]) {
+        this._linkPaths[realPath] = [];
+      }
+      this._linkPaths[realPath].push(linkPath);
+      this._hasLinks = true;
+
+      // Files outside every root are indexed by a new root. A linked file
+      // is indexed alone (not with the rest of its directory).
+      if (!this._getRoot(realPath)) {
+        if (fs.isDir(realPath)) {
+          this._roots.push(...this._createRoots([realPath], (root) => {
+            root.isLink = true;
+          }));
+        } else {
+          this._getFileLinkRoot(fp.dirname(realPath)).linkedFiles[realPath] = true;
+        }
+      }
+    });
+  },
+
+  // Returns the root of the linked files in a directory outside every root.
+  _getFileLinkRoot(dirPath) {
+    let root = this._roots.find(root =>
+      root.linkedFiles && root.path === dirPath);
+    if (!root) {
+      [root] = this._createRoots([dirPath], (root) => {
+        root.isLink = true;
+        root.linkedFiles = Object.create(null);
+      });
+      this._roots.push(root);
+    }
+    return root;
+  },
+
   _createRoots(rootPaths, each = emptyFunction) {
     return rootPaths && rootPaths.map(rootPath => {
       // If the path ends in a separator ("/"), remove it to make string
@@ -210,7 +311,9 @@ type.defineMethods({
   _searchRoots(filePath, roots) {
     for (let i = 0; i < roots.length; i++) {
       let root = roots[i];
-      if (isDescendant(root.path, filePath)) {
+      if (root.linkedFiles ?
+          root.linkedFiles[filePath] :
+          isDescendant(root.path, filePath)) {
         return root;
       }
     }
@@ -228,7 +331,7 @@ type.defineMethods({
   },
 
   _getFile(filePath) {
-    filePath = fp.resolve(filePath);
+    filePath = this.getRealPath(filePath);
 
     let file = this._fastPaths[filePath];
     if (!file) {
@@ -246,7 +349,7 @@ type.defineMethods({
   },
 
   _processFileChange(type, relPath, rootPath, fstat) {
-    const filePath = fp.resolve(rootPath, relPath);
+    const filePath = this.getRealPath(fp.resolve(rootPath, relPath));
     if (this._blacklist(filePath)) { return }
     if (fstat && fstat.isDirectory()) { return }
 
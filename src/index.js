@@ -16,6 +16,10 @@ module.exports = {
   FileWatcher: require('./FileWatcher'),
   Module: require('./Module'),
   Polyfill: require('./Polyfill'),
+  TransformWorkerPool: require('./TransformWorkerPool'),
+
+  ConsoleReporter: require('./reporters/ConsoleReporter'),
+  JsonReporter: require('./reporters/JsonReporter'),
 
   extractRequires: require('./utils/extractRequires'),
   matchExtensions: require('./utils/matchExtensions'),
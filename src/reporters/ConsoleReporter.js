@@ -0,0 +1,67 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const Type = require('Type');
+const fromArgs = require('fromArgs');
+
+const type = Type('ConsoleReporter')
+
+type.defineOptions({
+  console: Object.Kind.withDefault(console),
+})
+
+type.defineValues({
+  _console: fromArgs('console'),
+})
+
+type.defineMethods({
+
+  update(event) {
+    const format = formats[event.type];
+    if (!format) {
+      return;
+    }
+    const message = format(event);
+    if (event.error) {
+      this._console.warn(message + '\n' + event.error.stack);
+    } else if (/-(failed|not-found)$/.test(event.type)) {
+      this._console.warn(message);
+    } else {
+      this._console.log(message);
+    }
+  },
+})
+
+module.exports = type.build()
+
+//
+// Helpers
+//
+
+const formats = {
+  'asset-dir-not-found': ({dirPath}) =>
+    `Error: Directory '${dirPath}' does not exist!`,
+  'asset-not-found': ({assetPath}) =>
+    `Error: Asset '${assetPath}' does not exist!`,
+  'assets-counted': ({count}) =>
+    `assets found: ${count}`,
+  'cache-persist-failed': ({cacheFilePath}) =>
+    `Error: Failed to persist cache! '${cacheFilePath}'`,
+  'change-failed': ({filePath}) =>
+    `Error: Failed to update the dependencies affected by '${filePath}'`,
+  'graph-persist-failed': ({cacheFilePath}) =>
+    `Error: Failed to persist the dependency graph! '${cacheFilePath}'`,
+  'link-watch-failed': ({dirPath}) =>
+    `Error: Failed to watch the target of a symlink! '${dirPath}'`,
+  'haste-map-rebuilding': () =>
+    'Rebuilding haste map to recover from error:',
+  'haste-modules-counted': ({count}) =>
+    `haste modules found: ${count}`,
+};
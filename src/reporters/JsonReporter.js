@@ -0,0 +1,41 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const Type = require('Type');
+const fromArgs = require('fromArgs');
+
+// Writes each event as one line of JSON (useful for CI logs).
+const type = Type('JsonReporter')
+
+type.defineOptions({
+  stream: Object.Kind.withDefault(process.stdout),
+})
+
+type.defineValues({
+  _stream: fromArgs('stream'),
+})
+
+type.defineMethods({
+
+  update(event) {
+    if (event.error) {
+      event = {
+        ...event,
+        error: {
+          message: event.error.message,
+          stack: event.error.stack,
+        },
+      };
+    }
+    this._stream.write(JSON.stringify(event) + '\n');
+  },
+})
+
+module.exports = type.build()
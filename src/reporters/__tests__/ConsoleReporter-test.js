@@ -0,0 +1,55 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.autoMockOff();
+
+const ConsoleReporter = require('../ConsoleReporter');
+
+describe('ConsoleReporter', () => {
+  let reporter, output;
+
+  beforeEach(() => {
+    output = {
+      log: jest.genMockFn(),
+      warn: jest.genMockFn(),
+    };
+    reporter = ConsoleReporter({console: output});
+  });
+
+  it('logs the message of a counting event', () => {
+    reporter.update({type: 'haste-modules-counted', count: 3});
+    expect(output.log).toBeCalledWith('haste modules found: 3');
+    expect(output.warn).not.toBeCalled();
+  });
+
+  it('warns about failures', () => {
+    reporter.update({type: 'asset-not-found', assetPath: '/root/a.png'});
+    expect(output.warn)
+      .toBeCalledWith('Error: Asset \'/root/a.png\' does not exist!');
+  });
+
+  it('includes the stack of an error', () => {
+    const error = Error('EACCES');
+    reporter.update({
+      type: 'cache-persist-failed',
+      cacheFilePath: '/tmp/cache',
+      error,
+    });
+    expect(output.warn).toBeCalledWith(
+      'Error: Failed to persist cache! \'/tmp/cache\'\n' + error.stack
+    );
+  });
+
+  it('ignores unknown events', () => {
+    reporter.update({type: 'unknown'});
+    expect(output.log).not.toBeCalled();
+    expect(output.warn).not.toBeCalled();
+  });
+});
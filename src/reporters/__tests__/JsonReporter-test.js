@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.autoMockOff();
+
+const JsonReporter = require('../JsonReporter');
+
+describe('JsonReporter', () => {
+  let reporter, stream;
+
+  beforeEach(() => {
+    stream = {write: jest.genMockFn()};
+    reporter = JsonReporter({stream});
+  });
+
+  function getEvents() {
+    return stream.write.mock.calls.map(([line]) => {
+      expect(line.endsWith('\n')).toBe(true);
+      return JSON.parse(line);
+    });
+  }
+
+  it('writes each event as one line of JSON', () => {
+    reporter.update({type: 'assets-counted', count: 2});
+    reporter.update({type: 'haste-modules-counted', count: 3});
+    expect(getEvents()).toEqual([
+      {type: 'assets-counted', count: 2},
+      {type: 'haste-modules-counted', count: 3},
+    ]);
+  });
+
+  it('writes the message and stack of an error', () => {
+    const error = Error('EACCES');
+    const event = {
+      type: 'cache-persist-failed',
+      cacheFilePath: '/tmp/cache',
+      error,
+    };
+    reporter.update(event);
+    expect(getEvents()).toEqual([{
+      type: 'cache-persist-failed',
+      cacheFilePath: '/tmp/cache',
+      error: {message: 'EACCES', stack: error.stack},
+    }]);
+    expect(event.error).toBe(error);
+  });
+});
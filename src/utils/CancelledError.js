@@ -0,0 +1,22 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const util = require('util');
+
+// Thrown when the 'signal' of a request is aborted.
+function CancelledError() {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.type = this.name = 'CancelledError';
+  this.message = 'The request was cancelled!';
+}
+util.inherits(CancelledError, Error);
+
+module.exports = CancelledError;
@@ -0,0 +1,71 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const Promise = require('Promise');
+
+// Runs async tasks in order, with no more than 'concurrency' at once.
+module.exports = class TaskQueue {
+  constructor(concurrency = Infinity) {
+    this.concurrency = concurrency;
+    this._pending = [];
+    this._running = 0;
+    this._completed = 0;
+    this._failed = 0;
+    this._maxPending = 0;
+    this._maxRunning = 0;
+    this._totalWait = 0;
+  }
+
+  // Returns a promise with the result of 'task()', once it has run.
+  push(task) {
+    const deferred = Promise.defer();
+    this._pending.push({task, deferred, queuedAt: Date.now()});
+    this._maxPending = Math.max(this._maxPending, this._pending.length);
+    this._next();
+    return deferred.promise;
+  }
+
+  getMetrics() {
+    const finished = this._completed + this._failed;
+    return {
+      concurrency: this.concurrency,
+      pending: this._pending.length,
+      running: this._running,
+      completed: this._completed,
+      failed: this._failed,
+      maxPending: this._maxPending,
+      maxRunning: this._maxRunning,
+      averageWait: finished ? this._totalWait / finished : 0,
+    };
+  }
+
+  _next() {
+    while (this._pending.length && this._running < this.concurrency) {
+      const {task, deferred, queuedAt} = this._pending.shift();
+      this._totalWait += Date.now() - queuedAt;
+      this._running += 1;
+      this._maxRunning = Math.max(this._maxRunning, this._running);
+
+      Promise.try(task)
+      .then(result => {
+        this._completed += 1;
+        deferred.resolve(result);
+      })
+      .fail(error => {
+        this._failed += 1;
+        deferred.reject(error);
+      })
+      .always(() => {
+        this._running -= 1;
+        this._next();
+      });
+    }
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.autoMockOff();
+
+const Promise = require('Promise');
+const TaskQueue = require('../TaskQueue');
+
+describe('TaskQueue', () => {
+  pit('should never run more than `concurrency` tasks at once', () => {
+    const queue = new TaskQueue(2);
+    let running = 0;
+    let maxRunning = 0;
+
+    const task = () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      return Promise().then(() => {
+        running -= 1;
+      });
+    };
+
+    return Promise.map([1, 2, 3, 4, 5], () => queue.push(task))
+    .then(() => {
+      expect(maxRunning).toBe(2);
+      expect(queue.getMetrics().completed).toBe(5);
+    });
+  });
+
+  pit('should resolve with the result of each task', () => {
+    const queue = new TaskQueue(1);
+    return Promise.map([
+      queue.push(() => 'a'),
+      queue.push(() => Promise('b')),
+    ])
+    .then(results => expect(results).toEqual(['a', 'b']));
+  });
+
+  pit('should keep running tasks after a task fails', () => {
+    const queue = new TaskQueue(1);
+    const failing = queue.push(() => {
+      throw Error('oops');
+    });
+
+    return queue.push(() => 'ok')
+    .then(result => {
+      expect(result).toBe('ok');
+      return failing
+        .then(() => { throw Error('Expected a failure'); })
+        .fail(error => expect(error.message).toBe('oops'));
+    })
+    .then(() => {
+      const metrics = queue.getMetrics();
+      expect(metrics.failed).toBe(1);
+      expect(metrics.completed).toBe(1);
+      expect(metrics.pending).toBe(0);
+      expect(metrics.running).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.dontMock('../createAliasMatcher');
+
+const createAliasMatcher = require('../createAliasMatcher');
+
+describe('createAliasMatcher', () => {
+  it('should substitute the capture groups of a RegExp', () => {
+    const match = createAliasMatcher([
+      {from: /^@app\/(.*)$/, to: '<root>/src/$1'},
+    ], '/root');
+
+    expect(match('@app/views/Home')).toBe('/root/src/views/Home');
+    expect(match('@other/views/Home')).toBeUndefined();
+  });
+
+  it('should treat every glob wildcard as a capture group', () => {
+    const match = createAliasMatcher([
+      {from: 'icons:*', to: './assets/icons/$1.png'},
+      {from: 'lib/**/index', to: 'lib/$1'},
+    ], '/root');
+
+    expect(match('icons:star')).toBe('./assets/icons/star.png');
+    expect(match('icons:a/b')).toBeUndefined();
+    expect(match('lib/a/b/index')).toBe('lib/a/b');
+  });
+
+  it('should escape the other characters of a glob', () => {
+    const match = createAliasMatcher([
+      {from: 'lodash.merge', to: 'lodash/merge'},
+    ], '/root');
+
+    expect(match('lodash.merge')).toBe('lodash/merge');
+    expect(match('lodash-merge')).toBeUndefined();
+  });
+
+  it('should use the first rule that matches', () => {
+    const match = createAliasMatcher([
+      {from: 'fs', to: false},
+      {from: '*', to: 'vendor/$1'},
+    ], '/root');
+
+    expect(match('fs')).toBe(false);
+    expect(match('react')).toBe('vendor/react');
+  });
+
+  it('should match the same path twice with a global or sticky RegExp', () => {
+    const match = createAliasMatcher([
+      {from: /^react$/g, to: 'preact'},
+      {from: /^lodash$/y, to: 'lodash-es'},
+    ], '/root');
+
+    expect(match('react')).toBe('preact');
+    expect(match('react')).toBe('preact');
+    expect(match('lodash')).toBe('lodash-es');
+    expect(match('lodash')).toBe('lodash-es');
+  });
+
+  it('should throw for an invalid alias', () => {
+    expect(() => createAliasMatcher([{from: 'a', to: null}], '/root')).toThrow();
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.dontMock('../debounce');
+
+var debounce = require('../debounce');
+
+describe('debounce', function() {
+  it('should only call the function once the calls stop', function() {
+    var fn = jest.genMockFn();
+    var debounced = debounce(fn, 100);
+    debounced();
+    debounced();
+    expect(fn).not.toBeCalled();
+    jest.runAllTimers();
+    expect(fn.mock.calls.length).toBe(1);
+  });
+
+  it('should never call the function once cancelled', function() {
+    var fn = jest.genMockFn();
+    var debounced = debounce(fn, 100);
+    debounced();
+    debounced.cancel();
+    jest.runAllTimers();
+    expect(fn).not.toBeCalled();
+  });
+});
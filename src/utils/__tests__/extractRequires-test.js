@@ -23,7 +23,7 @@ describe('extractRequires', () => {
 
     expect(extractRequires(code)).toEqual({
       code,
-      deps: {sync: ['module1', 'module2', 'module3']},
+      deps: {sync: ['module1', 'module2', 'module3'], async: []},
     });
   });
 
@@ -36,7 +36,7 @@ describe('extractRequires', () => {
 
     expect(extractRequires(code)).toEqual({
       code,
-      deps: {sync: ['module1', 'module2', 'module3']},
+      deps: {sync: ['module1', 'module2', 'module3'], async: []},
     });
   });
 
@@ -45,7 +45,7 @@ describe('extractRequires', () => {
 
     expect(extractRequires(code)).toEqual({
       code: '',
-      deps: {sync: []},
+      deps: {sync: [], async: []},
     });
   });
 
@@ -59,7 +59,7 @@ describe('extractRequires', () => {
 
     expect(extractRequires(code)).toEqual({
       code: '\n',
-      deps: {sync: []},
+      deps: {sync: [], async: []},
     });
   });
 
@@ -73,7 +73,7 @@ describe('extractRequires', () => {
 
     expect(extractRequires(code)).toEqual({
       code: '\r\n',
-      deps: {sync: []},
+      deps: {sync: [], async: []},
     });
   });
 
@@ -88,7 +88,7 @@ describe('extractRequires', () => {
 
     expect(extractRequires(code)).toEqual({
       code: '\u2028\u2029',
-      deps: {sync: []},
+      deps: {sync: [], async: []},
     });
   });
 
@@ -100,7 +100,34 @@ describe('extractRequires', () => {
 
     expect(extractRequires(code)).toEqual({
       code,
-      deps: {sync: ['module1']},
+      deps: {sync: ['module1'], async: []},
+    });
+  });
+
+  it('should extract dynamic imports as async dependencies', () => {
+    const code = `
+      import('module1').then(module1 => {});
+      System.import('module2');
+      require.async('module3');
+      const module4 = require('module4');
+    `;
+
+    expect(extractRequires(code)).toEqual({
+      code,
+      deps: {sync: ['module4'], async: ['module1', 'module2', 'module3']},
+    });
+  });
+
+  it('should not treat sync dependencies as async', () => {
+    const code = `
+      import('module1');
+      const module1 = require('module1');
+      import module2 from 'module2';
+    `;
+
+    expect(extractRequires(code)).toEqual({
+      code,
+      deps: {sync: ['module2', 'module1'], async: []},
     });
   });
 });
@@ -0,0 +1,60 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.dontMock('../findStronglyConnected');
+
+const findStronglyConnected = require('../findStronglyConnected');
+
+describe('findStronglyConnected', () => {
+  function find(graph) {
+    return findStronglyConnected(
+      Object.keys(graph),
+      (node) => graph[node]
+    );
+  }
+
+  it('should return one component per node in an acyclic graph', () => {
+    expect(find({
+      a: ['b'],
+      b: ['c'],
+      c: [],
+    })).toEqual([['c'], ['b'], ['a']]);
+  });
+
+  it('should group the members of a cycle', () => {
+    expect(find({
+      a: ['b'],
+      b: ['c'],
+      c: ['a', 'd'],
+      d: [],
+    })).toEqual([['d'], ['a', 'b', 'c']]);
+  });
+
+  it('should find separate cycles', () => {
+    expect(find({
+      a: ['b'],
+      b: ['a', 'c'],
+      c: ['d'],
+      d: ['c'],
+    })).toEqual([['c', 'd'], ['a', 'b']]);
+  });
+
+  it('should handle deep graphs without recursing', () => {
+    const graph = {};
+    for (let i = 0; i < 100000; i++) {
+      graph[i] = [String(i + 1)];
+    }
+    graph[100000] = ['0'];
+
+    const components = find(graph);
+    expect(components.length).toBe(1);
+    expect(components[0].length).toBe(100001);
+  });
+});
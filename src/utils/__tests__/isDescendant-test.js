@@ -0,0 +1,32 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.dontMock('../isDescendant');
+
+var isDescendant = require('../isDescendant');
+
+describe('isDescendant', function() {
+  it('should match the root and the paths inside it', function() {
+    expect(isDescendant('/root', '/root')).toBe(true);
+    expect(isDescendant('/root', '/root/index.js')).toBe(true);
+    expect(isDescendant('/root', '/root/lib/index.js')).toBe(true);
+  });
+
+  it('should not match a sibling that shares a prefix', function() {
+    expect(isDescendant('/root', '/root-lib')).toBe(false);
+    expect(isDescendant('/root', '/root-lib/index.js')).toBe(false);
+    expect(isDescendant('/root', '/')).toBe(false);
+  });
+
+  it('should support a root that ends with a separator', function() {
+    expect(isDescendant('/', '/root/index.js')).toBe(true);
+    expect(isDescendant('/root/', '/root/index.js')).toBe(true);
+  });
+});
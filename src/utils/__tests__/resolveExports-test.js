@@ -0,0 +1,64 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+jest.dontMock('../resolveExports');
+
+const resolveExports = require('../resolveExports');
+
+describe('resolveExports', () => {
+  const conditions = ['react-native', 'require', 'default'];
+
+  it('should resolve a string as the main export', () => {
+    expect(resolveExports('./main.js', '.', conditions)).toBe('./main.js');
+    expect(resolveExports('./main.js', './feature', conditions)).toBe(null);
+  });
+
+  it('should use the first condition (in field order) that is enabled', () => {
+    const exportsField = {
+      import: './main.mjs',
+      'react-native': './main.native.js',
+      default: './main.js',
+    };
+    expect(resolveExports(exportsField, '.', conditions)).toBe('./main.native.js');
+    expect(resolveExports(exportsField, '.', ['browser'])).toBe('./main.js');
+  });
+
+  it('should resolve exact subpaths', () => {
+    const exportsField = {
+      '.': './index.js',
+      './feature': {
+        browser: './feature.browser.js',
+        require: './feature.js',
+      },
+    };
+    expect(resolveExports(exportsField, './feature', conditions)).toBe('./feature.js');
+    expect(resolveExports(exportsField, './missing', conditions)).toBe(null);
+  });
+
+  it('should substitute the match of the longest pattern', () => {
+    const exportsField = {
+      './*': './lib/*.js',
+      './utils/*': './lib/utils/*/index.js',
+      './internal/': './src/internal/',
+    };
+    expect(resolveExports(exportsField, './a', conditions)).toBe('./lib/a.js');
+    expect(resolveExports(exportsField, './utils/b', conditions)).toBe('./lib/utils/b/index.js');
+    expect(resolveExports(exportsField, './internal/c.js', conditions)).toBe('./src/internal/c.js');
+  });
+
+  it('should use the first fallback that resolves', () => {
+    const exportsField = {
+      '.': [{import: './main.mjs'}, './main.js'],
+      './private': null,
+    };
+    expect(resolveExports(exportsField, '.', conditions)).toBe('./main.js');
+    expect(resolveExports(exportsField, './private', conditions)).toBe(null);
+  });
+});
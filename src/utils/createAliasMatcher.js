@@ -0,0 +1,82 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const ROOT_TOKEN = /<root>/g;
+
+/**
+ * Compiles an ordered list of alias rules into a function that maps a
+ * require string to its alias. The first rule that matches is used.
+ *
+ * Each rule is `{from, to}`. The `from` pattern is a RegExp or a glob string
+ * (where `*` matches within a directory and `**` matches across directories).
+ * Every wildcard of a glob is a capture group, so `to` can use `$1`, `$2`, etc.
+ * Any `<root>` in `to` is replaced with the given root path. When `to` is
+ * false, the module is stubbed out.
+ *
+ * The returned function returns undefined when no rule matches.
+ */
+function createAliasMatcher(rules, rootPath) {
+  const compiled = rules.map(({from, to}) => {
+    if (to !== false && typeof to !== 'string') {
+      throw Error('An alias must map to a string or false: ' + from);
+    }
+    return {
+      pattern: from instanceof RegExp ? toStateless(from) : globToRegExp(from),
+      to: to === false ? false : to.replace(ROOT_TOKEN, rootPath),
+    };
+  });
+
+  return (requiredPath) => {
+    for (let i = 0; i < compiled.length; i++) {
+      const {pattern, to} = compiled[i];
+      const match = pattern.exec(requiredPath);
+      if (match) {
+        if (to === false) {
+          return false;
+        }
+        return to.replace(/\$(\d+)/g, (_, index) => match[index] || '');
+      }
+    }
+  };
+}
+
+module.exports = createAliasMatcher;
+
+//
+// Helpers
+//
+
+// A global or sticky RegExp remembers its 'lastIndex' between calls
+// to 'exec', so the same path could stop matching.
+function toStateless(pattern) {
+  return pattern.global || pattern.sticky ?
+    new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '')) :
+    pattern;
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        source += '(.*)';
+        i++;
+      } else {
+        source += '([^/]*)';
+      }
+    } else if (char === '?') {
+      source += '([^/])';
+    } else {
+      source += char.replace(/[\\^$.+()|[\]{}]/, '\\$&');
+    }
+  }
+  return new RegExp('^' + source + '$');
+}
@@ -0,0 +1,27 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+// The returned function has a 'cancel' method. Pending calls
+// never keep the process alive.
+function debounce(fn, delay) {
+  var timeout;
+  const debounced = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(fn, delay);
+    timeout.unref && timeout.unref();
+  };
+  debounced.cancel = () => {
+    clearTimeout(timeout);
+    timeout = null;
+  };
+  return debounced;
+}
+
+module.exports = debounce;
@@ -0,0 +1,33 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+/**
+ * Returns a copy of the persisted edges (see 'ResolutionCache.serializeEdges')
+ * without the edges of any module in `stalePaths`, or of any module that
+ * depends on one of those paths. Their requires are resolved again.
+ */
+function dropStaleEdges(edgesByModule, stalePaths) {
+  const result = Object.create(null);
+  Object.keys(edgesByModule).forEach(modulePath => {
+    if (stalePaths.has(modulePath)) {
+      return;
+    }
+    const edges = edgesByModule[modulePath];
+    const isStale = Object.keys(edges)
+      .some(requiredPath => stalePaths.has(edges[requiredPath][0]));
+
+    if (!isStale) {
+      result[modulePath] = edges;
+    }
+  });
+  return result;
+}
+
+module.exports = dropStaleEdges;
@@ -17,8 +17,10 @@ const blockCommentRe = /\/\*[^]*?\*\//g;
 const lineCommentRe = /\/\/.*/g;
 function extractRequires(code) {
   const cache = Object.create(null);
+  const asyncCache = Object.create(null);
   var deps = {
     sync: [],
+    async: [],
   };
 
   const addDependency = (dep) => {
@@ -28,6 +30,13 @@ function extractRequires(code) {
     }
   };
 
+  const addAsyncDependency = (dep) => {
+    if (!asyncCache[dep]) {
+      asyncCache[dep] = true;
+      deps.async.push(dep);
+    }
+  };
+
   code = code
     .replace(blockCommentRe, '')
     .replace(lineCommentRe, '')
@@ -47,8 +56,22 @@ function extractRequires(code) {
     .replace(replacePatterns.REQUIRE_RE, (match, pre, quot, dep, post) => {
       addDependency(dep);
       return match;
+    })
+    // Async dependencies are loaded on demand, using either `import()`
+    // (or `System.import()`) or `require.async()`:
+    //   import('dep1').then(...);
+    .replace(replacePatterns.DYNAMIC_IMPORT_RE, (match, pre, quot, dep, post) => {
+      addAsyncDependency(dep);
+      return match;
+    })
+    .replace(replacePatterns.REQUIRE_ASYNC_RE, (match, pre, quot, dep, post) => {
+      addAsyncDependency(dep);
+      return match;
     });
 
+  // A module that is also required synchronously is never loaded on demand.
+  deps.async = deps.async.filter(dep => !cache[dep]);
+
   return {code, deps};
 }
 
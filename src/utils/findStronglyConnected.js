@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+/**
+ * Returns the strongly connected components of a graph, using an iterative
+ * version of Tarjan's algorithm (so deep graphs can't blow the stack).
+ *
+ * `nodes` is an array of nodes, and `getEdges(node)` returns the nodes
+ * that `node` points to. Components are returned in reverse topological order.
+ */
+function findStronglyConnected(nodes, getEdges) {
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let nextIndex = 0;
+
+  const visit = (node) => {
+    indexes.set(node, nextIndex);
+    lowLinks.set(node, nextIndex);
+    nextIndex++;
+    stack.push(node);
+    onStack.add(node);
+    return {node, edges: getEdges(node), edgeIndex: 0};
+  };
+
+  nodes.forEach(root => {
+    if (indexes.has(root)) {
+      return;
+    }
+
+    const frames = [visit(root)];
+    while (frames.length) {
+      const frame = frames[frames.length - 1];
+      const {node, edges} = frame;
+
+      if (frame.edgeIndex < edges.length) {
+        const next = edges[frame.edgeIndex++];
+        if (!indexes.has(next)) {
+          frames.push(visit(next));
+        } else if (onStack.has(next)) {
+          lowLinks.set(node, Math.min(lowLinks.get(node), indexes.get(next)));
+        }
+        continue;
+      }
+
+      frames.pop();
+      if (frames.length) {
+        const parent = frames[frames.length - 1].node;
+        lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(node)));
+      }
+
+      if (lowLinks.get(node) === indexes.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component.reverse());
+      }
+    }
+  });
+
+  return components;
+}
+
+module.exports = findStronglyConnected;
@@ -0,0 +1,25 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+// Subclasses of Module inherit its 'type' value, so check the flags instead.
+function getModuleType(module) {
+  if (module.isPolyfill()) {
+    return 'Polyfill';
+  }
+  if (module.isNull()) {
+    return 'NullModule';
+  }
+  if (module.isAsset()) {
+    return 'AssetModule';
+  }
+  return 'Module';
+}
+
+module.exports = getModuleType;
@@ -0,0 +1,21 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+// Returns the package name of a module name: 'foo/bar' -> 'foo'
+// Scoped packages keep their scope: '@scope/foo/bar' -> '@scope/foo'
+function getPackageName(moduleName) {
+  const parts = moduleName.split('/');
+  if (moduleName[0] === '@' && parts.length > 1) {
+    return parts[0] + '/' + parts[1];
+  }
+  return parts[0];
+}
+
+module.exports = getPackageName;
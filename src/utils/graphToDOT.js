@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const nodeStyles = {
+  Module: 'shape=ellipse',
+  AssetModule: 'shape=box',
+  NullModule: 'shape=ellipse, style=dashed',
+  Polyfill: 'shape=diamond',
+};
+
+/**
+ * Converts the output of `ResolutionResponse.serialize()` into
+ * the Graphviz DOT format.
+ */
+function graphToDOT(graph) {
+  const lines = ['digraph dependencies {'];
+
+  graph.nodes.forEach(node => {
+    const label = node.name ? node.name + '\n' + node.path : node.path;
+    lines.push(
+      `  ${quote(node.path)} [label=${quote(label)}, ${nodeStyles[node.type]}];`
+    );
+  });
+
+  graph.edges.forEach(edge => {
+    const style = edge.async ? ', style=dashed' : '';
+    lines.push(
+      `  ${quote(edge.from)} -> ${quote(edge.to)} [label=${quote(edge.requiredPath)}${style}];`
+    );
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = graphToDOT;
+
+//
+// Helpers
+//
+
+function quote(value) {
+  return '"' + value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n') + '"';
+}
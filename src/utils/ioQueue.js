@@ -0,0 +1,16 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const TaskQueue = require('./TaskQueue');
+
+// Every file read (and cache stat) goes through this queue,
+// so large trees can't run out of file descriptors.
+// Use 'DependencyGraph.setMaxConcurrentIO()' to change its limit.
+module.exports = new TaskQueue(64);
@@ -8,6 +8,14 @@
 */
 'use strict';
 
+const fp = require('../fastpath');
+
+// Returns true if 'child' is 'root' or inside it.
+// For example, '/root-lib' is not inside '/root'.
 module.exports = function isDescendant(root, child) {
-  return child.startsWith(root);
+  if (child === root) {
+    return true;
+  }
+  const prefix = root.endsWith(fp.sep) ? root : root + fp.sep;
+  return child.startsWith(prefix);
 };
@@ -0,0 +1,112 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+/**
+ * Resolves a subpath (like '.' or './feature') with the "exports" field of a
+ * 'package.json'. Conditions are matched in the order of the "exports" field,
+ * and 'default' always matches.
+ *
+ * Returns the target path (relative to the package), or null when the
+ * subpath is not exported.
+ */
+function resolveExports(exportsField, subpath, conditions) {
+  if (exportsField == null) {
+    return null;
+  }
+
+  // A string, array or conditions object is the '.' export.
+  let exportsMap = exportsField;
+  if (typeof exportsMap !== 'object' || Array.isArray(exportsMap) ||
+      !Object.keys(exportsMap).some(key => key[0] === '.')) {
+    exportsMap = {'.': exportsMap};
+  }
+
+  if (hasOwnProperty.call(exportsMap, subpath) && subpath.indexOf('*') === -1) {
+    return resolveTarget(exportsMap[subpath], null, conditions);
+  }
+
+  // Use the pattern (or directory) with the longest prefix.
+  let bestKey = null;
+  let bestPrefix = '';
+  let bestMatch = null;
+  Object.keys(exportsMap).forEach(key => {
+    const starIndex = key.indexOf('*');
+    let prefix, match;
+    if (starIndex !== -1) {
+      prefix = key.slice(0, starIndex);
+      const suffix = key.slice(starIndex + 1);
+      if (subpath.length < prefix.length + suffix.length ||
+          !subpath.startsWith(prefix) || !subpath.endsWith(suffix)) {
+        return;
+      }
+      match = subpath.slice(prefix.length, subpath.length - suffix.length);
+    } else if (key.endsWith('/') && subpath.startsWith(key)) {
+      prefix = key;
+      match = subpath.slice(key.length);
+    } else {
+      return;
+    }
+    if (bestKey === null || prefix.length > bestPrefix.length) {
+      bestKey = key;
+      bestPrefix = prefix;
+      bestMatch = match;
+    }
+  });
+
+  if (bestKey === null) {
+    return null;
+  }
+  return resolveTarget(exportsMap[bestKey], bestMatch, conditions);
+}
+
+module.exports = resolveExports;
+
+//
+// Helpers
+//
+
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
+// The 'match' is what a pattern's '*' (or a directory's trailing slash) matched.
+function resolveTarget(target, match, conditions) {
+  if (typeof target === 'string') {
+    if (match === null) {
+      return target;
+    }
+    return target.indexOf('*') !== -1 ?
+      target.replace(/\*/g, match) : target + match;
+  }
+
+  // Use the first fallback that resolves.
+  if (Array.isArray(target)) {
+    for (let i = 0; i < target.length; i++) {
+      const result = resolveTarget(target[i], match, conditions);
+      if (result !== null) {
+        return result;
+      }
+    }
+    return null;
+  }
+
+  if (target && typeof target === 'object') {
+    const keys = Object.keys(target);
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      if (key === 'default' || conditions.indexOf(key) !== -1) {
+        const result = resolveTarget(target[key], match, conditions);
+        if (result !== null) {
+          return result;
+        }
+      }
+    }
+  }
+
+  return null;
+}